@@ -0,0 +1,47 @@
+// Authentication policies that can be tuned per deployment
+module.exports = {
+  // off       - unverified users have full access
+  // login     - unverified users cannot sign in
+  // protected - unverified users can sign in but not use role-gated routes
+  emailVerificationMode: process.env.EMAIL_VERIFICATION_MODE || "off",
+  emailVerificationExpire: process.env.EMAIL_VERIFICATION_EXPIRE || "24h",
+  magicLinkExpireMinutes: parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 10,
+  accountActivationExpireDays:
+    parseInt(process.env.ACCOUNT_ACTIVATION_EXPIRE_DAYS) || 7,
+  invitationExpireDays: parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7,
+  securityEventRetentionDays:
+    parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 365,
+  // Days between a user asking for their account to be deleted and it
+  // being anonymized; they can cancel in the meantime
+  accountDeletionGraceDays:
+    parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30,
+  // Lifetime of the token an admin gets when impersonating a user
+  impersonationExpireMinutes:
+    parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15,
+  // Days a soft-deleted user can be restored before being purged
+  deletedUserRetentionDays:
+    parseInt(process.env.DELETED_USER_RETENTION_DAYS) || 30,
+  // Account that inherits content left by deleted users; when unset or not
+  // found the content is kept without an author
+  contentSuccessorEmail: process.env.CONTENT_SUCCESSOR_EMAIL || null,
+  // Attributes for the HttpOnly auth cookies used in cookie mode
+  cookies: {
+    secure: process.env.COOKIE_SECURE
+      ? process.env.COOKIE_SECURE === "true"
+      : process.env.NODE_ENV === "production",
+    sameSite: process.env.COOKIE_SAMESITE || "strict",
+    domain: process.env.COOKIE_DOMAIN || undefined,
+  },
+  // Brute-force protection. Once a key reaches its threshold every further
+  // failure locks it for baseLockSeconds * 2^(failures - threshold), capped
+  // at maxLockSeconds. Keys are forgotten after windowSeconds of quiet.
+  throttle: {
+    baseLockSeconds: parseInt(process.env.LOCKOUT_BASE_SECONDS) || 60,
+    maxLockSeconds: parseInt(process.env.LOCKOUT_MAX_SECONDS) || 60 * 60,
+    windowSeconds: parseInt(process.env.LOCKOUT_WINDOW_SECONDS) || 60 * 60,
+    thresholds: {
+      login: { account: 5, ip: 20 },
+      passwordReset: { account: 3, ip: 10 },
+    },
+  },
+};
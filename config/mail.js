@@ -0,0 +1,24 @@
+// Mail settings shared by the mailer and the links it renders
+const corsOrigins = process.env.CORS_ORIGINS || "http://localhost:3000";
+
+module.exports = {
+  // smtp | file | log
+  transport:
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "smtp" : "file"),
+  from: process.env.MAIL_FROM || "no-reply@localhost",
+  appName: process.env.APP_NAME || "Maheesh Portfolio",
+  // Frontend base URL used to build links in emails
+  clientUrl: (
+    process.env.CLIENT_URL || corsOrigins.split(",")[0].trim()
+  ).replace(/\/+$/, ""),
+  outboxDir: process.env.MAIL_OUTBOX_DIR || "outbox",
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  },
+};
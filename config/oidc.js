@@ -0,0 +1,46 @@
+// OpenID Connect providers offered next to password sign-in. List provider
+// ids in OIDC_PROVIDERS and configure each one with OIDC_<ID>_* variables:
+//
+//   OIDC_PROVIDERS=google
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...      (omit for public clients)
+//   OIDC_GOOGLE_NAME=Google            (label shown to users)
+//   OIDC_GOOGLE_SCOPES=openid email profile
+//   OIDC_GOOGLE_REDIRECT_URI=...       (defaults to the frontend callback)
+//
+// `npm run mock-oidc` starts a local provider for development.
+const { clientUrl } = require("./mail");
+
+const providers = {};
+
+const providerIds = (process.env.OIDC_PROVIDERS || "")
+  .split(",")
+  .map((id) => id.trim().toLowerCase())
+  .filter(Boolean);
+
+for (const id of providerIds) {
+  const env = (key) =>
+    process.env[`OIDC_${id.toUpperCase().replace(/-/g, "_")}_${key}`];
+
+  if (!env("ISSUER") || !env("CLIENT_ID")) {
+    console.warn(`OIDC provider "${id}" has no issuer or client id, skipping`);
+    continue;
+  }
+
+  providers[id] = {
+    id,
+    name: env("NAME") || id,
+    issuer: env("ISSUER").replace(/\/+$/, ""),
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET") || null,
+    scopes: env("SCOPES") || "openid email profile",
+    redirectUri: env("REDIRECT_URI") || `${clientUrl}/auth/oidc/${id}/callback`,
+  };
+}
+
+module.exports = {
+  providers,
+  // How long a user has to finish signing in at the provider
+  loginExpireMinutes: parseInt(process.env.OIDC_LOGIN_EXPIRE_MINUTES) || 10,
+};
@@ -0,0 +1,73 @@
+// Permission matrix. A permission is "<resource>:<action>"; for resources
+// with an `author` field, "<resource>:<action>:own" grants the action on the
+// user's own documents only. "*" grants everything.
+const CONTENT_ACTIONS = ["read", "create", "update", "delete"];
+
+const RESOURCES = {
+  gallery: CONTENT_ACTIONS,
+  blog: [...CONTENT_ACTIONS, "publish"],
+  event: CONTENT_ACTIONS,
+  work: CONTENT_ACTIONS,
+  service: CONTENT_ACTIONS,
+  heroSlider: CONTENT_ACTIONS,
+  users: ["read", "manage", "impersonate"],
+  roles: ["manage"],
+  apiKeys: ["manage"],
+  settings: ["manage"],
+  stats: ["read"],
+};
+
+// Resources whose documents record an author and support ":own" grants
+const AUTHORED_RESOURCES = ["blog", "event", "work"];
+
+const CONTENT_RESOURCES = [
+  "gallery",
+  "blog",
+  "event",
+  "work",
+  "service",
+  "heroSlider",
+];
+
+const grant = (resources, actions) =>
+  resources.flatMap((resource) =>
+    actions
+      .filter((action) => RESOURCES[resource].includes(action))
+      .map((action) => `${resource}:${action}`)
+  );
+
+const BUILT_IN_ROLES = {
+  admin: ["*"],
+  editor: [
+    ...grant(CONTENT_RESOURCES, [...CONTENT_ACTIONS, "publish"]),
+    "stats:read",
+  ],
+  author: AUTHORED_RESOURCES.flatMap((resource) => [
+    `${resource}:create`,
+    `${resource}:read:own`,
+    `${resource}:update:own`,
+    `${resource}:delete:own`,
+  ]),
+  viewer: [...grant(CONTENT_RESOURCES, ["read"]), "stats:read"],
+  // Registered site visitors, no access to the admin panel
+  user: [],
+};
+
+// Every permission string that may be granted to a custom role
+const ALL_PERMISSIONS = Object.entries(RESOURCES).flatMap(
+  ([resource, actions]) => [
+    ...actions.map((action) => `${resource}:${action}`),
+    ...(AUTHORED_RESOURCES.includes(resource)
+      ? actions
+          .filter((action) => action !== "create")
+          .map((action) => `${resource}:${action}:own`)
+      : []),
+  ]
+);
+
+module.exports = {
+  RESOURCES,
+  AUTHORED_RESOURCES,
+  BUILT_IN_ROLES,
+  ALL_PERMISSIONS,
+};
@@ -1,34 +1,259 @@
 const jwt = require("jsonwebtoken");
+const rateLimit = require("express-rate-limit");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const ImpersonationLog = require("../models/ImpersonationLog");
+const { emailVerificationMode } = require("../config/auth");
+const { getRolePermissions, permissionScope } = require("../utils/permissions");
+
+// Per-key request limit for machine clients
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: { message: "API key rate limit exceeded", code: "RATE_LIMITED" },
+});
+
+// Authenticate a machine client from the X-API-Key header. The request acts
+// as the admin who created the key, limited to the key's scopes.
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findByKey(req.get("X-API-Key"));
+
+    if (!apiKey) {
+      return res.status(401).json({
+        message: "Not authorized, invalid API key",
+        code: "API_KEY_INVALID",
+      });
+    }
+
+    const owner = await User.findById(apiKey.createdBy).select("-password");
+
+    if (!owner || !owner.isActive) {
+      return res.status(401).json({
+        message: "Not authorized, API key owner is no longer active",
+        code: "API_KEY_INVALID",
+      });
+    }
+
+    // A key never grants more than its owner currently holds
+    const ownerPermissions = await getRolePermissions(owner.role);
+
+    req.user = owner;
+    req.apiKey = apiKey;
+    req.permissions = apiKey.scopes.filter(
+      (scope) => permissionScope(ownerPermissions, scope) === "all"
+    );
+
+    // Record usage, at most once a minute per key
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > 60 * 1000) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: new Date(), lastUsedIp: req.ip }
+      );
+    }
+  } catch (error) {
+    console.error(error);
+    return res.status(401).json({
+      message: "Not authorized, invalid API key",
+      code: "API_KEY_INVALID",
+    });
+  }
+
+  apiKeyLimiter(req, res, next);
+};
+
+// Record a request made under impersonation once its response has gone out
+const auditImpersonatedRequest = (req, res) => {
+  res.on("finish", () => {
+    ImpersonationLog.create({
+      impersonator: req.impersonator._id,
+      user: req.user._id,
+      session: req.authSession._id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    }).catch((error) => {
+      console.error("Failed to record impersonated request:", error);
+    });
+  });
+};
+
+// Load the admin behind an impersonation token. Returns null if the token
+// doesn't match its session or the admin may no longer impersonate.
+const loadImpersonator = async (decoded, session) => {
+  if (!session.impersonatedBy || !session.impersonatedBy.equals(decoded.imp)) {
+    return null;
+  }
+
+  const impersonator = await User.findById(decoded.imp).select("-password");
+
+  if (!impersonator || !impersonator.isActive) {
+    return null;
+  }
+
+  const permissions = await getRolePermissions(impersonator.role);
+  return permissionScope(permissions, "users:impersonate") === "all"
+    ? impersonator
+    : null;
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
   let token;
 
+  if (req.get("X-API-Key")) {
+    return authenticateApiKey(req, res, next);
+  }
+
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith("Bearer")
   ) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(" ")[1];
+    // Get token from header
+    token = req.headers.authorization.split(" ")[1];
+  } else if (req.cookies && req.cookies.access_token) {
+    // Cookie-mode clients; CSRF is checked globally before routes run
+    token = req.cookies.access_token;
+  }
 
+  if (token) {
+    try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Only short-lived access tokens may be used as bearer credentials
+      if (decoded.type !== "access") {
+        return res.status(401).json({
+          message: "Not authorized, token failed",
+          code: "TOKEN_INVALID",
+        });
+      }
+
       // Get user from the token
       req.user = await User.findById(decoded.id).select("-password");
 
-      next();
+      // The account was deleted after the token was issued
+      if (!req.user) {
+        return res.status(401).json({
+          message: "Not authorized, user no longer exists",
+          code: "USER_NOT_FOUND",
+        });
+      }
+
+      // Tokens issued before a logout, password reset or role change are dead
+      if ((decoded.tv || 0) !== req.user.tokenVersion) {
+        return res.status(401).json({
+          message: "Not authorized, token revoked",
+          code: "TOKEN_REVOKED",
+        });
+      }
+
+      // The session behind the token must not have been signed out
+      req.authSession = await Session.findOne({
+        _id: decoded.sid,
+        user: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      });
+
+      if (!req.authSession) {
+        return res.status(401).json({
+          message: "Not authorized, session has ended",
+          code: "SESSION_REVOKED",
+        });
+      }
+
+      // Checked after the token itself so requests with already revoked
+      // tokens stay cheap. Blocked sign-ins are only recorded by the sign-in
+      // routes, not by every request a deactivated user's client makes.
+      if (!req.user.isActive) {
+        return res.status(403).json({
+          message: "Account has been deactivated",
+          code: "ACCOUNT_DEACTIVATED",
+        });
+      }
+
+      // An admin acting as this user; everything they do is audited
+      if (decoded.imp) {
+        req.impersonator = await loadImpersonator(decoded, req.authSession);
+
+        if (!req.impersonator) {
+          return res.status(401).json({
+            message: "Not authorized, impersonation has ended",
+            code: "IMPERSONATION_ENDED",
+          });
+        }
+
+        auditImpersonatedRequest(req, res);
+      }
+
+      // Record activity, at most once a minute per session
+      if (Date.now() - req.authSession.lastSeenAt > 60 * 1000) {
+        await Session.updateOne(
+          { _id: req.authSession._id },
+          { lastSeenAt: new Date(), ip: req.ip }
+        );
+      }
     } catch (error) {
       console.error(error);
-      return res.status(401).json({ message: "Not authorized, token failed" });
+      return res.status(401).json({
+        message: "Not authorized, token failed",
+        code: "TOKEN_INVALID",
+      });
     }
+
+    next();
   } else {
-    return res.status(401).json({ message: "Not authorized, no token" });
+    return res
+      .status(401)
+      .json({ message: "Not authorized, no token", code: "NO_TOKEN" });
   }
 };
 
+// Refuse sensitive account changes while an admin is impersonating
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      message: "Not allowed while impersonating a user",
+      code: "IMPERSONATION_FORBIDDEN",
+    });
+  }
+
+  next();
+};
+
+// Require a confirmed email address when the deployment asks for it
+const requireVerifiedEmail = (req, res, next) => {
+  if (
+    emailVerificationMode === "protected" &&
+    !req.apiKey &&
+    !req.user.emailVerified
+  ) {
+    return res.status(403).json({
+      message: "Please verify your email address first",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+  next();
+};
+
+// Keep API keys away from routes that act on a personal account
+const rejectApiKeys = (req, res, next) => {
+  if (req.get("X-API-Key")) {
+    return res.status(403).json({
+      message: "API keys cannot be used for this route",
+      code: "API_KEY_NOT_ALLOWED",
+    });
+  }
+  next();
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -38,13 +263,78 @@ const authorize = (...roles) => {
         .json({ message: "Not authorized, user not found" });
     }
 
+    // Role checks are for people; machine clients go through permissions
+    if (req.apiKey) {
+      return res.status(403).json({
+        message: "API keys cannot be used for this route",
+        code: "API_KEY_NOT_ALLOWED",
+      });
+    }
+
     if (!roles.includes(req.user.role)) {
       return res
         .status(403)
         .json({ message: "User role not authorized for this route" });
     }
-    next();
+
+    requireVerifiedEmail(req, res, next);
+  };
+};
+
+// Grant access to holders of a permission from config/permissions.js.
+// Sets req.permissionScope to "all" or "own"; with "own" the handler must
+// restrict the action to documents the user authored (see canModify).
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ message: "Not authorized, user not found" });
+    }
+
+    try {
+      if (!req.permissions) {
+        req.permissions = await getRolePermissions(req.user.role);
+      }
+    } catch (error) {
+      console.error(error);
+      return res.status(500).json({ message: "Server error" });
+    }
+
+    req.permissionScope = permissionScope(req.permissions, permission);
+
+    if (!req.permissionScope) {
+      return res.status(403).json({
+        message: "You do not have permission to perform this action",
+        code: "FORBIDDEN",
+        permission,
+      });
+    }
+
+    requireVerifiedEmail(req, res, next);
   };
 };
 
-module.exports = { protect, authorize };
+// Whether the request may act on an authored document under its scope
+const canModify = (req, doc) => {
+  return (
+    req.permissionScope === "all" ||
+    Boolean(doc.author && doc.author.equals(req.user._id))
+  );
+};
+
+// Query filter that limits listings to the user's own documents under "own"
+const ownershipFilter = (req) => {
+  return req.permissionScope === "own" ? { author: req.user._id } : {};
+};
+
+module.exports = {
+  protect,
+  authorize,
+  rejectApiKeys,
+  blockImpersonation,
+  requirePermission,
+  requireVerifiedEmail,
+  canModify,
+  ownershipFilter,
+};
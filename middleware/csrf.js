@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const { cookies: cookieConfig } = require("../config/auth");
+
+const CSRF_COOKIE = "csrf_token";
+const CSRF_HEADER = "X-CSRF-Token";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Cookies that authenticate a request on their own, and so need CSRF checks
+const AUTH_COOKIES = ["access_token", "refresh_token"];
+
+const sign = (value) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(value)
+    .digest("hex");
+
+// Tokens are "<random>.<hmac>" so a cookie planted by a sibling domain
+// without our secret is rejected
+const isValidToken = (token) => {
+  const [value, signature] = String(token).split(".");
+
+  // Signatures are hex; checking the format also keeps timingSafeEqual from
+  // throwing on multi-byte input whose buffer length differs
+  if (!value || !/^[0-9a-f]{64}$/.test(signature || "")) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(signature),
+    Buffer.from(sign(value))
+  );
+};
+
+// Set a fresh CSRF cookie and return the token for the client to echo
+const issueCsrfToken = (res) => {
+  const value = crypto.randomBytes(32).toString("hex");
+  const token = `${value}.${sign(value)}`;
+
+  res.cookie(CSRF_COOKIE, token, {
+    // Readable by the frontend so it can copy it into the header
+    httpOnly: false,
+    secure: cookieConfig.secure,
+    sameSite: cookieConfig.sameSite,
+    domain: cookieConfig.domain,
+    path: "/",
+  });
+
+  return token;
+};
+
+// Double-submit check for state-changing requests authenticated by cookie.
+// Bearer and API key clients aren't exposed to CSRF and are let through.
+const csrfProtection = (req, res, next) => {
+  const usesAuthCookie =
+    !req.headers.authorization &&
+    !req.get("X-API-Key") &&
+    AUTH_COOKIES.some((name) => req.cookies?.[name]);
+
+  if (SAFE_METHODS.includes(req.method) || !usesAuthCookie) {
+    return next();
+  }
+
+  const cookieToken = req.cookies[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (
+    !cookieToken ||
+    !headerToken ||
+    cookieToken !== headerToken ||
+    !isValidToken(cookieToken)
+  ) {
+    return res.status(403).json({
+      message: "Invalid or missing CSRF token",
+      code: "CSRF_INVALID",
+    });
+  }
+
+  next();
+};
+
+module.exports = { issueCsrfToken, csrfProtection, CSRF_COOKIE };
@@ -0,0 +1,131 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const { throttle: throttleConfig } = require("../config/auth");
+
+// Throttling keys for a request: always the client IP, plus the account
+// when an email is known. Unknown emails are tracked too, so lockouts
+// don't reveal which accounts exist.
+const attemptKeys = (scope, req, email) => {
+  const keys = [{ type: "ip", key: `${scope}:ip:${req.ip}` }];
+
+  if (email) {
+    keys.push({
+      type: "account",
+      key: `${scope}:account:${String(email).toLowerCase()}`,
+    });
+  }
+
+  return keys;
+};
+
+// Seconds until every given key is unlocked, 0 if none is locked
+const getLockout = async (scope, req, email) => {
+  const keys = attemptKeys(scope, req, email).map(({ key }) => key);
+  const locked = await LoginAttempt.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() },
+  });
+
+  return locked.reduce(
+    (seconds, attempt) =>
+      Math.max(seconds, Math.ceil((attempt.lockedUntil - Date.now()) / 1000)),
+    0
+  );
+};
+
+const sendLockedOut = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: "Too many attempts, please try again later",
+    code: "TOO_MANY_ATTEMPTS",
+    retryAfter,
+  });
+};
+
+// Reject requests for a locked IP or account before they reach the handler
+const throttle = (scope) => {
+  return async (req, res, next) => {
+    try {
+      const retryAfter = await getLockout(scope, req, req.body?.email);
+
+      if (retryAfter > 0) {
+        return sendLockedOut(res, retryAfter);
+      }
+    } catch (error) {
+      console.error(error);
+      return res.status(500).json({ message: "Server error" });
+    }
+
+    next();
+  };
+};
+
+// Count a failed (or, for rate-limited flows, any) attempt against the IP
+// and account, locking them with exponential backoff past their threshold
+const recordFailure = async (scope, req, email) => {
+  const { baseLockSeconds, maxLockSeconds, windowSeconds, thresholds } =
+    throttleConfig;
+  const now = Date.now();
+
+  for (const { type, key } of attemptKeys(scope, req, email)) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: new Date(now) },
+        $setOnInsert: { expiresAt: new Date(now + windowSeconds * 1000) },
+      },
+      { upsert: true, new: true }
+    );
+
+    const threshold = thresholds[scope][type];
+    let lockedUntil = attempt.lockedUntil;
+
+    if (attempt.failures >= threshold) {
+      const lockSeconds = Math.min(
+        baseLockSeconds * 2 ** (attempt.failures - threshold),
+        maxLockSeconds
+      );
+      lockedUntil = new Date(now + lockSeconds * 1000);
+    }
+
+    await LoginAttempt.updateOne(
+      { _id: attempt._id },
+      {
+        lockedUntil,
+        expiresAt: new Date(
+          Math.max(now, lockedUntil ? lockedUntil.getTime() : 0) +
+            windowSeconds * 1000
+        ),
+      }
+    );
+  }
+};
+
+// Forget failures for an account after it signs in successfully.
+// The IP counter is kept so one valid account can't reset it.
+const clearFailures = async (scope, email) => {
+  await LoginAttempt.deleteOne({
+    key: `${scope}:account:${String(email).toLowerCase()}`,
+  });
+};
+
+// Lift every lockout on an account
+const unlockAccount = async (email) => {
+  const account = String(email).toLowerCase();
+  await LoginAttempt.deleteMany({
+    key: {
+      $in: Object.keys(throttleConfig.thresholds).map(
+        (scope) => `${scope}:account:${account}`
+      ),
+    },
+  });
+};
+
+module.exports = {
+  throttle,
+  getLockout,
+  sendLockedOut,
+  recordFailure,
+  clearFailures,
+  unlockAccount,
+};
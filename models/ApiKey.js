@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { ALL_PERMISSIONS } = require("../config/permissions");
+
+const KEY_PREFIX = "ak";
+
+const hashKey = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// Credential for machine clients. The key handed out is
+// "ak_<prefix>_<secret>"; the prefix identifies it, the secret is stored hashed.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a name"],
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      validate: {
+        validator: (scopes) =>
+          scopes.length > 0 &&
+          scopes.every((scope) => ALL_PERMISSIONS.includes(scope)),
+        message: "Scopes must be a non-empty list of known permissions",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    rateLimitPerMinute: {
+      type: Number,
+      default: 60,
+      min: 1,
+      max: 1000,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: "",
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create a key and return it with its raw value, which is shown only once
+apiKeySchema.statics.generate = async function (fields) {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  const apiKey = await this.create({
+    ...fields,
+    prefix,
+    keyHash: hashKey(secret),
+  });
+
+  return { apiKey, key: `${KEY_PREFIX}_${prefix}_${secret}` };
+};
+
+// Look up a presented key. Returns the ApiKey if it is valid, unrevoked
+// and unexpired, otherwise null.
+apiKeySchema.statics.findByKey = async function (key) {
+  const [type, prefix, secret] = String(key).split("_");
+
+  if (type !== KEY_PREFIX || !prefix || !secret) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({
+    prefix,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).select("+keyHash");
+
+  if (
+    !apiKey ||
+    !crypto.timingSafeEqual(
+      Buffer.from(apiKey.keyHash, "hex"),
+      Buffer.from(hashKey(secret), "hex")
+    )
+  ) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -46,10 +46,11 @@ const blogSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Null once the author's account is deleted and nobody inherits it
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
     },
     views: {
       type: Number,
@@ -102,4 +103,4 @@ blogSchema.index({ title: "text", shortDescription: "text", tags: "text" });
 blogSchema.index({ category: 1 });
 blogSchema.index({ isPublished: 1, createdAt: -1 });
 
-// module.exports = mongoose.model("Blog", blogSchema);
+module.exports = mongoose.model("Blog", blogSchema);
@@ -83,10 +83,11 @@ const eventSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
     },
+    // Null once the author's account is deleted and nobody inherits it
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
     },
     views: {
       type: Number,
@@ -129,4 +130,4 @@ eventSchema.index({ title: "text", excerpt: "text", tags: "text" });
 eventSchema.index({ category: 1 });
 eventSchema.index({ status: 1, displayDate: -1 });
 
-// module.exports = mongoose.model("Event", eventSchema);
+module.exports = mongoose.model("Event", eventSchema);
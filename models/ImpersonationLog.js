@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const { securityEventRetentionDays } = require("../config/auth");
+
+// One request an admin made while impersonating a user
+const impersonationLogSchema = new mongoose.Schema(
+  {
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+impersonationLogSchema.index({ impersonator: 1, createdAt: -1 });
+impersonationLogSchema.index({ user: 1, createdAt: -1 });
+
+// Kept as long as the security history
+impersonationLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: securityEventRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("ImpersonationLog", impersonationLogSchema);
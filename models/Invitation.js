@@ -0,0 +1,161 @@
+const mongoose = require("mongoose");
+const { invitationExpireDays } = require("../config/auth");
+const {
+  createSelectorToken,
+  parseSelectorToken,
+  verifierMatches,
+} = require("../utils/selectorToken");
+
+const invitationExpiry = () =>
+  new Date(Date.now() + invitationExpireDays * 24 * 60 * 60 * 1000);
+
+// An invitation for someone to join with a given role. Like password resets,
+// the token is "<selector>.<verifier>" and only the verifier hash is stored.
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Please add an email"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please add a valid email",
+      ],
+    },
+    role: {
+      type: String,
+      required: true,
+    },
+    selector: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    verifierHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: invitationExpiry,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    sendCount: {
+      type: Number,
+      default: 1,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.index({ email: 1 });
+
+invitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+invitationSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.selector;
+    delete ret.verifierHash;
+    delete ret.id;
+    return ret;
+  },
+});
+
+// Query filter for invitations that can still be accepted
+invitationSchema.statics.pendingFilter = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// Give the invitation a fresh token and expiry, invalidating the old link.
+// Returns the raw token to be emailed; the caller saves the document.
+invitationSchema.methods.renewToken = function () {
+  const { token, selector, verifierHash } = createSelectorToken();
+
+  this.selector = selector;
+  this.verifierHash = verifierHash;
+  this.expiresAt = invitationExpiry();
+
+  return token;
+};
+
+// Invite an email address, revoking any invitation still pending for it.
+// Returns the raw token and the stored invitation.
+invitationSchema.statics.issue = async function ({ email, role, invitedBy }) {
+  await this.updateMany(
+    { email: String(email).toLowerCase(), ...this.pendingFilter() },
+    { revokedAt: new Date() }
+  );
+
+  const invitation = new this({ email, role, invitedBy });
+  const token = invitation.renewToken();
+  await invitation.save();
+
+  return { token, invitation };
+};
+
+// Look up the pending invitation a token belongs to, or null
+invitationSchema.statics.findByToken = async function (token) {
+  const parsed = parseSelectorToken(token);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const invitation = await this.findOne({
+    selector: parsed.selector,
+    ...this.pendingFilter(),
+  }).select("+verifierHash");
+
+  if (
+    !invitation ||
+    !verifierMatches(invitation.verifierHash, parsed.verifier)
+  ) {
+    return null;
+  }
+
+  return invitation;
+};
+
+// Claim an invitation atomically so concurrent requests cannot both accept it
+invitationSchema.statics.claim = function (invitation) {
+  return this.findOneAndUpdate(
+    { _id: invitation._id, ...this.pendingFilter() },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { singleUseToken } = require("../utils/selectorToken");
+
+const { magicLinkExpireMinutes } = require("../config/auth");
+
+const MAGIC_LINK_TTL_MS = magicLinkExpireMinutes * 60 * 1000;
+
+// A single-use sign-in link, stored the same way as password resets:
+// the token is "<selector>.<verifier>" and only the verifier hash is kept.
+const magicLinkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    selector: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    verifierHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + MAGIC_LINK_TTL_MS),
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+magicLinkSchema.index({ user: 1 });
+
+// Let MongoDB purge records once they expire
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue and redeem links like password resets
+magicLinkSchema.plugin(singleUseToken, { ttlMs: MAGIC_LINK_TTL_MS });
+
+module.exports = mongoose.model("MagicLink", magicLinkSchema);
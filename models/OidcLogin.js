@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { loginExpireMinutes } = require("../config/oidc");
+
+// An OpenID Connect sign-in waiting for the provider to redirect back.
+// Holds the PKCE verifier and nonce that go with the `state` we sent, and
+// ties the sign-in to the browser that started it.
+const oidcLoginSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    // Hash of the key kept in the starting browser's cookie
+    browserKeyHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + loginExpireMinutes * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB purge sign-ins that were never completed
+oidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashBrowserKey = (browserKey) =>
+  crypto.createHash("sha256").update(String(browserKey)).digest("hex");
+
+// Record a sign-in and return the key the browser must present to finish it
+oidcLoginSchema.statics.start = async function ({
+  provider,
+  state,
+  nonce,
+  codeVerifier,
+}) {
+  const browserKey = crypto.randomBytes(32).toString("hex");
+
+  await this.create({
+    provider,
+    state,
+    nonce,
+    codeVerifier,
+    browserKeyHash: hashBrowserKey(browserKey),
+  });
+
+  return browserKey;
+};
+
+// Claim the pending sign-in for a state value so it can only be used once,
+// and only from the browser that started it
+oidcLoginSchema.statics.consume = function (provider, state, browserKey) {
+  if (!browserKey) {
+    return null;
+  }
+
+  return this.findOneAndDelete({
+    provider,
+    state: String(state),
+    browserKeyHash: hashBrowserKey(browserKey),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = mongoose.model("OidcLogin", oidcLoginSchema);
@@ -1,6 +1,10 @@
 const mongoose = require("mongoose");
-const bcrypt = require("bcryptjs");
+const { singleUseToken } = require("../utils/selectorToken");
 
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+// A reset token is "<selector>.<verifier>". The selector finds the record,
+// the verifier proves possession and is only ever stored hashed.
 const passwordResetSchema = new mongoose.Schema(
   {
     user: {
@@ -8,14 +12,23 @@ const passwordResetSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
-    resetToken: {
+    selector: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    verifierHash: {
       type: String,
       required: true,
     },
     expiresAt: {
       type: Date,
       required: true,
-      default: () => new Date(Date.now() + 15 * 60 * 1000), // 15 minutes
+      default: () => new Date(Date.now() + RESET_TOKEN_TTL_MS),
+    },
+    usedAt: {
+      type: Date,
+      default: null,
     },
   },
   {
@@ -23,22 +36,13 @@ const passwordResetSchema = new mongoose.Schema(
   }
 );
 
-// Hash the reset token before saving
-passwordResetSchema.pre("save", async function (next) {
-  if (!this.isModified("resetToken")) {
-    next();
-  }
-
-  const salt = await bcrypt.genSalt(10);
-  this.resetToken = await bcrypt.hash(this.resetToken, salt);
-});
+passwordResetSchema.index({ user: 1 });
 
-// Method to check if token is valid and not expired
-passwordResetSchema.methods.isValidToken = async function (token) {
-  const isTokenValid = await bcrypt.compare(token, this.resetToken);
-  const isNotExpired = this.expiresAt > new Date();
+// Let MongoDB purge records once they expire
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-  return isTokenValid && isNotExpired;
-};
+// issue(userId, ttlMs) and consume(token). Activation links for
+// admin-created accounts pass a longer TTL to issue().
+passwordResetSchema.plugin(singleUseToken, { ttlMs: RESET_TOKEN_TTL_MS });
 
 module.exports = mongoose.model("PasswordReset", passwordResetSchema);
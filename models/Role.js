@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const { BUILT_IN_ROLES, ALL_PERMISSIONS } = require("../config/permissions");
+
+// Admin-defined role. Built-in roles live in config/permissions.js.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a role name"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z][a-z0-9-]{1,31}$/,
+        "Role name must be 2-32 lowercase letters, digits or dashes",
+      ],
+      validate: {
+        validator: (name) => !Object.keys(BUILT_IN_ROLES).includes(name),
+        message: "Role name is reserved",
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        validator: (permissions) =>
+          permissions.every((permission) =>
+            ALL_PERMISSIONS.includes(permission)
+          ),
+        message: "Unknown permission",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Role", roleSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const { securityEventRetentionDays } = require("../config/auth");
+
+const SECURITY_EVENT_TYPES = [
+  "loginSucceeded",
+  "loginFailed",
+  "passwordResetRequested",
+  "passwordReset",
+  "passwordChanged",
+  "emailChanged",
+  "roleChanged",
+  "twoFactorEnabled",
+  "twoFactorDisabled",
+  "twoFactorReset",
+  "recoveryCodesRegenerated",
+  "accountDeletionRequested",
+  "accountDeletionCancelled",
+  "accountDeleted",
+  "accountRestored",
+  "impersonationStarted",
+];
+
+// One entry in a user's sign-in and account security history
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: SECURITY_EVENT_TYPES,
+      required: true,
+    },
+    // Someone other than the user who caused the event, e.g. an admin
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ip: String,
+    userAgent: String,
+    // Event details such as the sign-in method or failure reason
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+
+// Let MongoDB drop events once they are past retention
+securityEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: securityEventRetentionDays * 24 * 60 * 60 }
+);
+
+securityEventSchema.statics.TYPES = SECURITY_EVENT_TYPES;
+
+module.exports = mongoose.model("SecurityEvent", securityEventSchema);
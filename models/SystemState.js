@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Singleton document holding installation-wide state
+const systemStateSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: "system",
+    },
+    // Set once the first admin exists; bootstrap paths are closed after that
+    setupCompletedAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 of a generated setup token, when none is set in the environment
+    setupTokenHash: {
+      type: String,
+      default: null,
+    },
+    // Email domains whose OpenID Connect identities may sign in to staff
+    // accounts; empty allows any domain
+    oidcAdminDomains: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Fetch the singleton, creating it on first use
+systemStateSchema.statics.get = function () {
+  return this.findOneAndUpdate(
+    { _id: "system" },
+    { $setOnInsert: { _id: "system" } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model("SystemState", systemStateSchema);
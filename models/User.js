@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const {
+  verifyCode,
+  decryptSecret,
+  hashRecoveryCode,
+} = require("../utils/totp");
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,25 +29,134 @@ const userSchema = new mongoose.Schema(
       minlength: 6,
       select: false, // Don't include password in queries by default
     },
+    // Built-in role from config/permissions.js or the name of a custom Role
     role: {
       type: String,
-      enum: ["user", "admin"],
       default: "user",
     },
     avatar: {
       type: String,
       default: "",
     },
+    // Cloudinary public id of the avatar, so it can be replaced
+    avatarPublicId: {
+      type: String,
+      default: "",
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // New address awaiting confirmation; `email` is kept until then
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      default: null,
+    },
+    // Last time a deactivated account tried to sign in
+    lastBlockedLoginAt: {
+      type: Date,
+      default: null,
+    },
+    blockedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Bumped to invalidate every access token issued before the change
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the user asks for their account to be deleted; the account
+    // is anonymized once deletionScheduledFor has passed
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    anonymizedAt: {
+      type: Date,
+      default: null,
+    },
+    // Soft deletion by an admin. The account is hidden from queries and
+    // can't sign in, but can be restored until it is purged.
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // OpenID Connect identities linked to this account
+    identities: [
+      {
+        _id: false,
+        provider: String,
+        subject: String,
+        email: String,
+        linkedAt: Date,
+      },
+    ],
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      // Encrypted shared secret, set once enrollment is confirmed
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Encrypted secret awaiting confirmation with a first code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, to stop codes being replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index({ "identities.provider": 1, "identities.subject": 1 });
+userSchema.index({ deletedAt: 1 });
+
+// Soft-deleted users are left out of reads unless the query filters on
+// deletedAt itself or opts in with .setOptions({ withDeleted: true })
+userSchema.pre(["find", "findOne", "countDocuments"], function () {
+  if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) {
+    return;
+  }
+
+  this.where({ deletedAt: null });
+});
+
 // Encrypt password before saving
 userSchema.pre("save", async function () {
   if (!this.isModified("password")) {
@@ -53,15 +167,78 @@ userSchema.pre("save", async function () {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Whether an address belongs to any account, including soft-deleted ones
+// that keep it until they are purged
+userSchema.statics.emailInUse = function (email) {
+  return this.exists({ email: String(email).toLowerCase() }).setOptions({
+    withDeleted: true,
+  });
+};
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Remove password from JSON output
+// Remember that a deactivated account tried to sign in
+userSchema.methods.recordBlockedLogin = async function () {
+  this.lastBlockedLoginAt = new Date();
+  this.blockedLoginAttempts += 1;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lastBlockedLoginAt: this.lastBlockedLoginAt },
+      $inc: { blockedLoginAttempts: 1 },
+    }
+  );
+};
+
+// Turn off two-factor authentication and forget every secret
+userSchema.methods.resetTwoFactor = function () {
+  this.twoFactor = { enabled: false };
+};
+
+// Check a TOTP or recovery code, consuming it so it cannot be used again.
+// Requires the 2FA secret fields to be selected; the caller saves the user.
+userSchema.methods.consumeSecondFactor = function ({ code, recoveryCode }) {
+  if (code) {
+    const step = verifyCode(
+      decryptSecret(this.twoFactor.secret),
+      code,
+      this.twoFactor.lastUsedStep
+    );
+    if (step === null) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const index = this.twoFactor.recoveryCodes.indexOf(
+      hashRecoveryCode(recoveryCode)
+    );
+    if (index === -1) {
+      return false;
+    }
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Remove password and 2FA secrets from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
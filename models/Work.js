@@ -26,10 +26,11 @@ const workSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Null once the author's account is deleted and nobody inherits it
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
     },
     views: {
       type: Number,
@@ -52,4 +53,4 @@ workSchema.index({ title: "text" });
 workSchema.index({ category: 1 });
 workSchema.index({ status: 1, createdAt: -1 });
 
-// module.exports = mongoose.model("Work", workSchema);
+module.exports = mongoose.model("Work", workSchema);
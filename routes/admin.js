@@ -1,47 +1,575 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const crypto = require("crypto");
+const { body, query, validationResult } = require("express-validator");
 const User = require("../models/User");
-const { protect, authorize } = require("../middleware/auth");
+const Session = require("../models/Session");
+const Role = require("../models/Role");
+const ApiKey = require("../models/ApiKey");
+const Invitation = require("../models/Invitation");
+const ImpersonationLog = require("../models/ImpersonationLog");
+const SystemState = require("../models/SystemState");
+const PasswordReset = require("../models/PasswordReset");
+const {
+  protect,
+  rejectApiKeys,
+  blockImpersonation,
+  requirePermission,
+} = require("../middleware/auth");
+const {
+  isKnownRole,
+  getRolePermissions,
+  permissionScope,
+  exceedingPermissions,
+} = require("../utils/permissions");
+const { BUILT_IN_ROLES, ALL_PERMISSIONS } = require("../config/permissions");
+const {
+  issueImpersonationToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeUserTokens,
+} = require("../utils/tokens");
+const { sendEmailInBackground, clientLink } = require("../utils/mailer");
+const {
+  invitationExpireDays,
+  accountActivationExpireDays,
+} = require("../config/auth");
+const { unlockAccount } = require("../middleware/throttle");
+const { toCsvRow } = require("../utils/csv");
+const { getDashboardStats, DAY_MS } = require("../utils/dashboardStats");
+const {
+  recordSecurityEvent,
+  securityEventQueryRules,
+  listSecurityEvents,
+} = require("../utils/securityEvents");
 
 const router = express.Router();
 
-// All routes require admin authentication
+// All routes require authentication; each one checks its own permission
 router.use(protect);
-router.use(authorize("admin"));
 
-// @desc    Get all users
-// @route   GET /api/admin/users
-// @access  Private (Admin only)
-router.get("/users", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
-    const skip = limit ? (page - 1) * limit : 0;
+// Email an invitation link on behalf of the admin sending it
+const sendInvitationEmail = (invitation, token, inviter) => {
+  sendEmailInBackground({
+    to: invitation.email,
+    template: "invitation",
+    data: {
+      inviterName: inviter.name,
+      role: invitation.role,
+      url: clientLink("/accept-invitation", { token }),
+      expiresInDays: invitationExpireDays,
+    },
+  });
+};
 
-    const users = await User.find({})
-      .select("-password")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+// Changes to a single user, shared by the per-user routes and the bulk
+// endpoint so the same rules apply to both. Each resolves to null when the
+// change was made, or to { status, message } when it was refused.
+const isSelf = (req, user) => req.user._id.equals(user._id);
 
-    const total = await User.countDocuments();
+// Only admins may act on admin accounts, whatever else their role grants
+const protectAdmin = (req, user) =>
+  user.role === "admin" && req.user.role !== "admin"
+    ? { status: 403, message: "Only admins can manage admin accounts" }
+    : null;
 
-    res.json({
-      users,
-      total,
-      page,
-      pages: Math.ceil(total / limit),
+// Nobody may hand out more access than they hold themselves, whether by
+// defining a role's permissions or by giving someone a role
+const checkPermissionGrant = async (req, permissions) => {
+  const held = await getRolePermissions(req.user.role);
+  const beyond = exceedingPermissions(permissions.map(String), held);
+
+  if (beyond.length === 0) {
+    return null;
+  }
+
+  return {
+    status: 403,
+    message: `Cannot grant permissions you do not hold: ${beyond.join(", ")}`,
+  };
+};
+
+const checkRoleGrant = async (req, role) =>
+  checkPermissionGrant(req, await getRolePermissions(role));
+
+const changeUserRole = async (req, user, role) => {
+  // Prevent users from changing their own role
+  if (isSelf(req, user) && role !== user.role) {
+    return { status: 400, message: "Cannot change your own role" };
+  }
+
+  // Only admins may grant or take away the admin role
+  if (
+    (role === "admin" || user.role === "admin") &&
+    req.user.role !== "admin"
+  ) {
+    return { status: 403, message: "Only admins can change admin roles" };
+  }
+
+  const grantRefusal = await checkRoleGrant(req, role);
+  if (grantRefusal) {
+    return grantRefusal;
+  }
+
+  const previousRole = user.role;
+
+  user.role = role;
+  await user.save();
+
+  // Force the user to sign in again under the new role
+  if (previousRole !== user.role) {
+    await revokeUserTokens(user._id);
+    await recordSecurityEvent(req, user, "roleChanged", {
+      actor: req.user,
+      from: previousRole,
+      to: user.role,
     });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
   }
-});
+
+  return null;
+};
+
+const setUserStatus = async (req, user, isActive) => {
+  // Prevent admin from deactivating themselves
+  if (isSelf(req, user) && !isActive) {
+    return { status: 400, message: "Cannot deactivate your own account" };
+  }
+
+  const adminRefusal = protectAdmin(req, user);
+  if (adminRefusal) {
+    return adminRefusal;
+  }
+
+  user.isActive = isActive;
+  await user.save();
+
+  if (!user.isActive) {
+    await revokeUserTokens(user._id);
+  }
+
+  return null;
+};
+
+const deleteUser = async (req, user) => {
+  // Prevent admin from deleting themselves
+  if (isSelf(req, user)) {
+    return { status: 400, message: "Cannot delete your own account" };
+  }
+
+  const adminRefusal = protectAdmin(req, user);
+  if (adminRefusal) {
+    return adminRefusal;
+  }
+
+  // Soft delete: the account can be restored until the purge job removes it
+  user.deletedAt = new Date();
+  user.deletedBy = req.user._id;
+  await user.save();
+
+  await revokeUserTokens(user._id);
+  await recordSecurityEvent(req, user, "accountDeleted", { actor: req.user });
+
+  return null;
+};
+
+// Email the user a password reset link and sign them out everywhere.
+// Any sign-in lockout is lifted so the new password can be used at once.
+const forcePasswordReset = async (req, user) => {
+  const adminRefusal = protectAdmin(req, user);
+  if (adminRefusal) {
+    return adminRefusal;
+  }
+
+  const { token, record } = await PasswordReset.issue(user._id);
+
+  await revokeUserTokens(user._id);
+  await unlockAccount(user.email);
+  await recordSecurityEvent(req, user, "passwordResetRequested", {
+    actor: req.user,
+  });
+
+  sendEmailInBackground({
+    to: user.email,
+    template: "passwordReset",
+    data: {
+      name: user.name,
+      url: clientLink("/reset-password", { token }),
+      expiresInMinutes: Math.round((record.expiresAt - Date.now()) / 60000),
+    },
+  });
+
+  return null;
+};
+
+// Columns the user list can be sorted by
+const USER_SORT_FIELDS = ["name", "email", "role", "isActive", "createdAt"];
+
+// Columns included in the CSV export
+const USER_EXPORT_COLUMNS = [
+  "_id",
+  "name",
+  "email",
+  "role",
+  "isActive",
+  "emailVerified",
+  "createdAt",
+  "updatedAt",
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Validation for the search, filter and sort parameters of the user list
+const userListQueryRules = [
+  query("search").optional().isString().isLength({ max: 100 }),
+  query("role").optional().isString(),
+  query("isActive", "isActive must be true or false")
+    .optional()
+    .isIn(["true", "false"]),
+  query("createdFrom", "createdFrom must be a date").optional().isISO8601(),
+  query("createdTo", "createdTo must be a date").optional().isISO8601(),
+  query("deleted", "deleted must be true or false")
+    .optional()
+    .isIn(["true", "false"]),
+  query("sort")
+    .optional()
+    .custom((value) => {
+      const unknown = String(value)
+        .split(",")
+        .map((field) => field.replace(/^-/, ""))
+        .filter((field) => !USER_SORT_FIELDS.includes(field));
+
+      if (unknown.length > 0) {
+        throw new Error(`Cannot sort by: ${unknown.join(", ")}`);
+      }
+      return true;
+    }),
+  query("page", "Page must be a positive integer").optional().isInt({ min: 1 }),
+  query("limit", "Limit must be a positive integer")
+    .optional()
+    .isInt({ min: 1 }),
+];
+
+// Build the Mongo filter for the user list from its query parameters
+const userListFilter = ({
+  search,
+  role,
+  isActive,
+  createdFrom,
+  createdTo,
+  deleted,
+}) => {
+  // deleted=true lists soft-deleted users instead of live ones
+  const filter = { deletedAt: deleted === "true" ? { $ne: null } : null };
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (role) {
+    filter.role = role;
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === "true";
+  }
+
+  if (createdFrom || createdTo) {
+    filter.createdAt = {};
+    if (createdFrom) filter.createdAt.$gte = new Date(createdFrom);
+    if (createdTo) filter.createdAt.$lte = new Date(createdTo);
+  }
+
+  return filter;
+};
+
+// "-createdAt,name" -> { createdAt: -1, name: 1 }; newest first by default
+const userListSort = (sort = "-createdAt") => {
+  const order = {};
+
+  for (const field of String(sort).split(",")) {
+    order[field.replace(/^-/, "")] = field.startsWith("-") ? -1 : 1;
+  }
+
+  // Keep paging stable when the sorted values tie
+  order._id = order._id || -1;
+  return order;
+};
+
+// @desc    Get all users
+// @route   GET /api/admin/users?search=&role=&isActive=&createdFrom=&createdTo=&sort=&page=&limit=
+// @access  Private (users:read)
+router.get(
+  "/users",
+  requirePermission("users:read"),
+  userListQueryRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const filter = userListFilter(req.query);
+      const page = parseInt(req.query.page) || 1;
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      const skip = limit ? (page - 1) * limit : 0;
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select("-password")
+          .sort(userListSort(req.query.sort))
+          .skip(skip)
+          .limit(limit),
+        User.countDocuments(filter),
+      ]);
+
+      res.json({
+        users,
+        total,
+        page: limit ? page : 1,
+        // Without a limit everything fits on one page
+        pages: limit ? Math.ceil(total / limit) : 1,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Create a user and email them a link to set their password
+// @route   POST /api/admin/users
+// @access  Private (users:manage)
+router.post(
+  "/users",
+  requirePermission("users:manage"),
+  [
+    body("name", "Name is required").not().isEmpty(),
+    body("email", "Please include a valid email").isEmail(),
+    body("role", "Role is required")
+      .isString()
+      .custom(async (role) => {
+        if (!(await isKnownRole(role))) {
+          throw new Error("Unknown role");
+        }
+      }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, role } = req.body;
+
+    try {
+      // Same rule as role changes: only admins may hand out the admin role
+      if (role === "admin" && req.user.role !== "admin") {
+        return res
+          .status(403)
+          .json({ message: "Only admins can create admins" });
+      }
+
+      const grantRefusal = await checkRoleGrant(req, role);
+      if (grantRefusal) {
+        return res
+          .status(grantRefusal.status)
+          .json({ message: grantRefusal.message });
+      }
+
+      if (await User.emailInUse(email)) {
+        return res.status(400).json({ message: "User already exists" });
+      }
+
+      // Nobody knows this password; the user picks their own through the
+      // activation link, which also confirms their email address
+      const user = await User.create({
+        name,
+        email,
+        role,
+        password: crypto.randomBytes(32).toString("hex"),
+      });
+
+      const { token } = await PasswordReset.issue(
+        user._id,
+        accountActivationExpireDays * 24 * 60 * 60 * 1000
+      );
+
+      sendEmailInBackground({
+        to: user.email,
+        template: "accountActivation",
+        data: {
+          name: user.name,
+          url: clientLink("/reset-password", { token }),
+          expiresInDays: accountActivationExpireDays,
+        },
+      });
+
+      res.status(201).json({
+        message: "User created, an activation email has been sent",
+        user,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Export the filtered user list as CSV
+// @route   GET /api/admin/users/export?search=&role=&isActive=&createdFrom=&createdTo=&sort=
+// @access  Private (users:read)
+router.get(
+  "/users/export",
+  requirePermission("users:read"),
+  userListQueryRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const cursor = User.find(userListFilter(req.query))
+        .select(USER_EXPORT_COLUMNS.join(" "))
+        .sort(userListSort(req.query.sort))
+        .lean()
+        .cursor();
+
+      res.type("text/csv");
+      res.attachment(`users-${new Date().toISOString().slice(0, 10)}.csv`);
+      res.write(USER_EXPORT_COLUMNS.join(",") + "\r\n");
+
+      // Stream rows so large exports don't have to fit in memory
+      for await (const user of cursor) {
+        res.write(toCsvRow(user, USER_EXPORT_COLUMNS));
+      }
+
+      res.end();
+    } catch (error) {
+      console.error(error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Most users a single bulk request may touch
+const BULK_USER_LIMIT = 100;
+
+const BULK_USER_ACTIONS = {
+  activate: (req, user) => setUserStatus(req, user, true),
+  deactivate: (req, user) => setUserStatus(req, user, false),
+  changeRole: (req, user) => changeUserRole(req, user, req.body.role),
+  delete: (req, user) => deleteUser(req, user),
+  forcePasswordReset: (req, user) => forcePasswordReset(req, user),
+};
+
+// @desc    Apply one action to many users
+// @route   POST /api/admin/users/bulk
+// @access  Private (users:manage)
+router.post(
+  "/users/bulk",
+  requirePermission("users:manage"),
+  blockImpersonation,
+  [
+    body(
+      "ids",
+      `ids must be a list of 1 to ${BULK_USER_LIMIT} user ids`
+    ).isArray({ min: 1, max: BULK_USER_LIMIT }),
+    body("ids.*", "Invalid user id").isMongoId(),
+    body("action", "Unknown action").isIn(Object.keys(BULK_USER_ACTIONS)),
+    body("role", "Role is required")
+      .if(body("action").equals("changeRole"))
+      .isString()
+      .custom(async (role) => {
+        if (!(await isKnownRole(role))) {
+          throw new Error("Unknown role");
+        }
+      }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const action = BULK_USER_ACTIONS[req.body.action];
+    const ids = [...new Set(req.body.ids)];
+
+    try {
+      const users = await User.find({ _id: { $in: ids } });
+      const usersById = new Map(
+        users.map((user) => [user._id.toString(), user])
+      );
+
+      // One item failing doesn't stop the rest; each gets its own result
+      const results = [];
+      for (const id of ids) {
+        const user = usersById.get(id);
+
+        if (!user) {
+          results.push({ id, success: false, message: "User not found" });
+          continue;
+        }
+
+        try {
+          const refusal = await action(req, user);
+          results.push(
+            refusal
+              ? { id, success: false, message: refusal.message }
+              : { id, success: true }
+          );
+        } catch (error) {
+          console.error(error);
+          results.push({ id, success: false, message: "Server error" });
+        }
+      }
+
+      const succeeded = results.filter((result) => result.success).length;
+
+      res.json({
+        action: req.body.action,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Get deactivated users that recently tried to sign in
+// @route   GET /api/admin/users/blocked-logins
+// @access  Private (users:read)
+router.get(
+  "/users/blocked-logins",
+  requirePermission("users:read"),
+  async (req, res) => {
+    try {
+      const users = await User.find({
+        isActive: false,
+        lastBlockedLoginAt: { $ne: null },
+      })
+        .select("name email role lastBlockedLoginAt blockedLoginAttempts")
+        .sort({ lastBlockedLoginAt: -1 });
+
+      res.json({ users, total: users.length });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
 
 // @desc    Get single user
 // @route   GET /api/admin/users/:id
-// @access  Private (Admin only)
-router.get("/users/:id", async (req, res) => {
+// @access  Private (users:read)
+router.get("/users/:id", requirePermission("users:read"), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select("-password");
 
@@ -58,10 +586,20 @@ router.get("/users/:id", async (req, res) => {
 
 // @desc    Update user role
 // @route   PUT /api/admin/users/:id/role
-// @access  Private (Admin only)
+// @access  Private (users:manage)
 router.put(
   "/users/:id/role",
-  [body("role", "Role is required").isIn(["user", "admin"])],
+  requirePermission("users:manage"),
+  blockImpersonation,
+  [
+    body("role", "Role is required")
+      .isString()
+      .custom(async (role) => {
+        if (!(await isKnownRole(role))) {
+          throw new Error("Unknown role");
+        }
+      }),
+  ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -75,18 +613,11 @@ router.put(
         return res.status(404).json({ message: "User not found" });
       }
 
-      // Prevent admin from demoting themselves
-      if (
-        req.user._id.toString() === req.params.id &&
-        req.body.role !== "admin"
-      ) {
-        return res
-          .status(400)
-          .json({ message: "Cannot change your own admin role" });
-      }
+      const refusal = await changeUserRole(req, user, req.body.role);
 
-      user.role = req.body.role;
-      await user.save();
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
 
       res.json({
         message: "User role updated successfully",
@@ -106,9 +637,10 @@ router.put(
 
 // @desc    Update user status (activate/deactivate)
 // @route   PUT /api/admin/users/:id/status
-// @access  Private (Admin only)
+// @access  Private (users:manage)
 router.put(
   "/users/:id/status",
+  requirePermission("users:manage"),
   [body("isActive", "Status is required").isBoolean()],
   async (req, res) => {
     const errors = validationResult(req);
@@ -123,15 +655,11 @@ router.put(
         return res.status(404).json({ message: "User not found" });
       }
 
-      // Prevent admin from deactivating themselves
-      if (req.user._id.toString() === req.params.id && !req.body.isActive) {
-        return res
-          .status(400)
-          .json({ message: "Cannot deactivate your own account" });
-      }
+      const refusal = await setUserStatus(req, user, req.body.isActive);
 
-      user.isActive = req.body.isActive;
-      await user.save();
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
 
       res.json({
         message: `User ${
@@ -151,57 +679,1027 @@ router.put(
   }
 );
 
-// @desc    Delete user
-// @route   DELETE /api/admin/users/:id
-// @access  Private (Admin only)
-router.delete("/users/:id", async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id);
+// @desc    Get a user's active sessions
+// @route   GET /api/admin/users/:id/sessions
+// @access  Private (users:read)
+router.get(
+  "/users/:id/sessions",
+  requirePermission("users:read"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const sessions = await Session.find({
+        user: user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+        .select("userAgent ip createdAt lastSeenAt expiresAt")
+        .sort({ lastSeenAt: -1 });
 
-    // Prevent admin from deleting themselves
-    if (req.user._id.toString() === req.params.id) {
-      return res
-        .status(400)
-        .json({ message: "Cannot delete your own account" });
+      res.json({ sessions });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    await User.findByIdAndDelete(req.params.id);
+// @desc    Terminate all of a user's sessions
+// @route   DELETE /api/admin/users/:id/sessions
+// @access  Private (users:manage)
+router.delete(
+  "/users/:id/sessions",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
 
-    res.json({ message: "User deleted successfully" });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const refusal = protectAdmin(req, user);
+
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
+
+      const revoked = await revokeUserSessions(user._id);
+
+      res.json({ message: "Sessions revoked successfully", revoked });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
-// @desc    Get admin dashboard stats
-// @route   GET /api/admin/stats
-// @access  Private (Admin only)
-router.get("/stats", async (req, res) => {
-  try {
-    const totalUsers = await User.countDocuments();
-    const activeUsers = await User.countDocuments({ isActive: true });
-    const adminUsers = await User.countDocuments({ role: "admin" });
-    const recentUsers = await User.find({})
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .select("name email createdAt");
+// @desc    Terminate one of a user's sessions
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @access  Private (users:manage)
+router.delete(
+  "/users/:id/sessions/:sessionId",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
 
-    res.json({
-      totalUsers,
-      activeUsers,
-      adminUsers,
-      inactiveUsers: totalUsers - activeUsers,
-      recentUsers,
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const refusal = protectAdmin(req, user);
+
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
+
+      const session = await Session.findOne({
+        _id: req.params.sessionId,
+        user: req.params.id,
+        revokedAt: null,
+      });
+
+      if (!session) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+
+      await revokeSession(session._id);
+
+      res.json({ message: "Session revoked successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
+
+// @desc    Get a user's security history
+// @route   GET /api/admin/users/:id/security-events?page=&limit=&type=
+// @access  Private (users:read)
+router.get(
+  "/users/:id/security-events",
+  requirePermission("users:read"),
+  securityEventQueryRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      res.json(await listSecurityEvents(user._id, req.query));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Email a user a password reset link and end their sessions
+// @route   POST /api/admin/users/:id/reset-password
+// @access  Private (users:manage)
+router.post(
+  "/users/:id/reset-password",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const refusal = await forcePasswordReset(req, user);
+
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
+
+      res.json({
+        message: "Password reset link sent and sessions revoked",
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Get a token that acts as a user, for seeing the API as they do
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (users:impersonate)
+router.post(
+  "/users/:id/impersonate",
+  rejectApiKeys,
+  requirePermission("users:impersonate"),
+  blockImpersonation,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (isSelf(req, user)) {
+        return res.status(400).json({ message: "Cannot impersonate yourself" });
+      }
+
+      // Acting as another admin would only hide who did what
+      if (user.role === "admin") {
+        return res
+          .status(403)
+          .json({ message: "Admin accounts cannot be impersonated" });
+      }
+
+      // Impersonating must not reach permissions the impersonator lacks
+      const beyond = exceedingPermissions(
+        await getRolePermissions(user.role),
+        await getRolePermissions(req.user.role)
+      );
+
+      if (beyond.length > 0) {
+        const missing = beyond.join(", ");
+        return res.status(403).json({
+          message: `Cannot impersonate a user with permissions you do not hold: ${missing}`,
+        });
+      }
+
+      if (!user.isActive) {
+        return res
+          .status(400)
+          .json({ message: "Cannot impersonate a deactivated user" });
+      }
+
+      const { token, session } = await issueImpersonationToken(
+        user,
+        req.user,
+        req
+      );
+
+      await recordSecurityEvent(req, user, "impersonationStarted", {
+        actor: req.user,
+        session: session._id,
+      });
+
+      res.status(201).json({
+        token,
+        expiresAt: session.expiresAt,
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Get requests made while impersonating users
+// @route   GET /api/admin/impersonation-logs?user=&impersonator=&page=&limit=
+// @access  Private (users:impersonate)
+router.get(
+  "/impersonation-logs",
+  rejectApiKeys,
+  requirePermission("users:impersonate"),
+  [
+    query("user", "Invalid user id").optional().isMongoId(),
+    query("impersonator", "Invalid user id").optional().isMongoId(),
+    query("page", "Page must be a positive integer")
+      .optional()
+      .isInt({ min: 1 }),
+    query("limit", "Limit must be between 1 and 100")
+      .optional()
+      .isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const filter = {};
+
+      if (req.query.user) filter.user = req.query.user;
+      if (req.query.impersonator) filter.impersonator = req.query.impersonator;
+
+      const [logs, total] = await Promise.all([
+        ImpersonationLog.find(filter)
+          .populate("impersonator", "name email")
+          .populate("user", "name email")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        ImpersonationLog.countDocuments(filter),
+      ]);
+
+      res.json({
+        logs,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Lift sign-in lockouts on a user's account
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (users:manage)
+router.post(
+  "/users/:id/unlock",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      await unlockAccount(user.email);
+
+      res.json({ message: "User account unlocked successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Reset a user's two-factor authentication
+// @route   DELETE /api/admin/users/:id/2fa
+// @access  Private (users:manage)
+router.delete(
+  "/users/:id/2fa",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const refusal = protectAdmin(req, user);
+
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
+
+      if (!user.twoFactor.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      user.resetTwoFactor();
+      await user.save();
+
+      // Sessions established with the old factor should not survive the reset
+      await revokeUserTokens(user._id);
+      await recordSecurityEvent(req, user, "twoFactorReset", {
+        actor: req.user,
+      });
+
+      sendEmailInBackground({
+        to: user.email,
+        template: "securityAlert",
+        data: { name: user.name, action: "twoFactorReset", ip: req.ip },
+      });
+
+      res.json({ message: "Two-factor authentication reset successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Delete user (restorable until purged)
+// @route   DELETE /api/admin/users/:id
+// @access  Private (users:manage)
+router.delete(
+  "/users/:id",
+  requirePermission("users:manage"),
+  blockImpersonation,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const refusal = await deleteUser(req, user);
+
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
+
+      res.json({ message: "User deleted successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Restore a soft-deleted user
+// @route   POST /api/admin/users/:id/restore
+// @access  Private (users:manage)
+router.post(
+  "/users/:id/restore",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      });
+
+      if (!user) {
+        return res.status(404).json({ message: "Deleted user not found" });
+      }
+
+      const refusal = protectAdmin(req, user);
+
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
+
+      user.deletedAt = null;
+      user.deletedBy = null;
+      await user.save();
+
+      await recordSecurityEvent(req, user, "accountRestored", {
+        actor: req.user,
+      });
+
+      res.json({ message: "User restored successfully", user });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Get invitations
+// @route   GET /api/admin/invitations?status=pending|expired|accepted|revoked|all
+// @access  Private (users:manage)
+router.get(
+  "/invitations",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    const now = new Date();
+    const filters = {
+      pending: Invitation.pendingFilter(),
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+      accepted: { acceptedAt: { $ne: null } },
+      revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+      all: {},
+    };
+    const status = req.query.status || "pending";
+
+    if (!filters[status]) {
+      return res.status(400).json({ message: "Invalid status filter" });
+    }
+
+    try {
+      const invitations = await Invitation.find(filters[status])
+        .populate("invitedBy", "name email")
+        .populate("acceptedUser", "name email")
+        .sort({ createdAt: -1 });
+
+      res.json({ invitations });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Invite someone to join with a role
+// @route   POST /api/admin/invitations
+// @access  Private (users:manage)
+router.post(
+  "/invitations",
+  requirePermission("users:manage"),
+  [
+    body("email", "Please include a valid email").isEmail(),
+    body("role", "Role is required")
+      .isString()
+      .custom(async (role) => {
+        if (!(await isKnownRole(role))) {
+          throw new Error("Unknown role");
+        }
+      }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, role } = req.body;
+
+    try {
+      // Same rule as role changes: only admins may hand out the admin role
+      if (role === "admin" && req.user.role !== "admin") {
+        return res
+          .status(403)
+          .json({ message: "Only admins can invite admins" });
+      }
+
+      const grantRefusal = await checkRoleGrant(req, role);
+      if (grantRefusal) {
+        return res
+          .status(grantRefusal.status)
+          .json({ message: grantRefusal.message });
+      }
+
+      if (await User.emailInUse(email)) {
+        return res.status(400).json({ message: "User already exists" });
+      }
+
+      const { token, invitation } = await Invitation.issue({
+        email,
+        role,
+        invitedBy: req.user._id,
+      });
+
+      sendInvitationEmail(invitation, token, req.user);
+
+      res.status(201).json({ message: "Invitation sent", invitation });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Resend an invitation with a fresh link
+// @route   POST /api/admin/invitations/:id/resend
+// @access  Private (users:manage)
+router.post(
+  "/invitations/:id/resend",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      // Expired invitations can be revived; accepted or revoked ones can't
+      const invitation = await Invitation.findOne({
+        _id: req.params.id,
+        acceptedAt: null,
+        revokedAt: null,
+      });
+
+      if (!invitation) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      if (invitation.role === "admin" && req.user.role !== "admin") {
+        return res
+          .status(403)
+          .json({ message: "Only admins can invite admins" });
+      }
+
+      const grantRefusal = await checkRoleGrant(req, invitation.role);
+      if (grantRefusal) {
+        return res
+          .status(grantRefusal.status)
+          .json({ message: grantRefusal.message });
+      }
+
+      const token = invitation.renewToken();
+      invitation.lastSentAt = new Date();
+      invitation.sendCount += 1;
+      await invitation.save();
+
+      sendInvitationEmail(invitation, token, req.user);
+
+      res.json({ message: "Invitation resent", invitation });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private (users:manage)
+router.delete(
+  "/invitations/:id",
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findOneAndUpdate(
+        { _id: req.params.id, acceptedAt: null, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      res.json({ message: "Invitation revoked successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Get built-in and custom roles
+// @route   GET /api/admin/roles
+// @access  Private (roles:manage)
+router.get("/roles", requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+
+    res.json({
+      roles: [
+        ...Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({
+          name,
+          permissions,
+          builtIn: true,
+        })),
+        ...customRoles.map((role) => ({ ...role.toObject(), builtIn: false })),
+      ],
+      availablePermissions: ALL_PERMISSIONS,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Create a custom role
+// @route   POST /api/admin/roles
+// @access  Private (roles:manage)
+router.post(
+  "/roles",
+  requirePermission("roles:manage"),
+  blockImpersonation,
+  [
+    body("name", "Role name is required").not().isEmpty(),
+    body("permissions", "Permissions must be an array").isArray(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    try {
+      if (await isKnownRole(String(name).toLowerCase())) {
+        return res.status(400).json({ message: "Role already exists" });
+      }
+
+      const refusal = await checkPermissionGrant(req, permissions);
+      if (refusal) {
+        return res.status(refusal.status).json({ message: refusal.message });
+      }
+
+      const role = await Role.create({
+        name,
+        description,
+        permissions,
+        createdBy: req.user._id,
+      });
+
+      res.status(201).json(role);
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: Object.values(error.errors)
+            .map((e) => e.message)
+            .join(", "),
+        });
+      }
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Update a custom role
+// @route   PUT /api/admin/roles/:name
+// @access  Private (roles:manage)
+router.put(
+  "/roles/:name",
+  requirePermission("roles:manage"),
+  blockImpersonation,
+  [body("permissions", "Permissions must be an array").optional().isArray()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+
+      if (!role) {
+        return res.status(404).json({ message: "Role not found" });
+      }
+
+      const { description, permissions } = req.body;
+
+      if (permissions !== undefined) {
+        const refusal = await checkPermissionGrant(req, permissions);
+        if (refusal) {
+          return res.status(refusal.status).json({ message: refusal.message });
+        }
+      }
+
+      if (description !== undefined) role.description = description;
+      if (permissions !== undefined) role.permissions = permissions;
+
+      await role.save();
+
+      // Permissions are resolved per request, so members pick this up at once
+      res.json(role);
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: Object.values(error.errors)
+            .map((e) => e.message)
+            .join(", "),
+        });
+      }
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Delete a custom role
+// @route   DELETE /api/admin/roles/:name
+// @access  Private (roles:manage)
+router.delete(
+  "/roles/:name",
+  requirePermission("roles:manage"),
+  blockImpersonation,
+  async (req, res) => {
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+
+      if (!role) {
+        return res.status(404).json({ message: "Role not found" });
+      }
+
+      // Deleted users count too, as they may still be restored
+      const members = await User.countDocuments({ role: role.name }).setOptions(
+        { withDeleted: true }
+      );
+
+      if (members > 0) {
+        return res.status(400).json({
+          message: `Role is assigned to ${members} user(s); reassign them first`,
+        });
+      }
+
+      await Role.deleteOne({ _id: role._id });
+
+      res.json({ message: "Role deleted successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Get API keys
+// @route   GET /api/admin/api-keys
+// @access  Private (apiKeys:manage)
+router.get(
+  "/api-keys",
+  rejectApiKeys,
+  requirePermission("apiKeys:manage"),
+  async (req, res) => {
+    try {
+      const apiKeys = await ApiKey.find()
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 });
+
+      res.json({ apiKeys });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Create an API key
+// @route   POST /api/admin/api-keys
+// @access  Private (apiKeys:manage)
+router.post(
+  "/api-keys",
+  rejectApiKeys,
+  requirePermission("apiKeys:manage"),
+  blockImpersonation,
+  [
+    body("name", "Name is required").not().isEmpty(),
+    body("scopes", "Scopes must be a non-empty array").isArray({ min: 1 }),
+    body("expiresInDays", "Expiry must be between 1 and 365 days")
+      .optional()
+      .isInt({ min: 1, max: 365 }),
+    body("rateLimitPerMinute", "Rate limit must be between 1 and 1000")
+      .optional()
+      .isInt({ min: 1, max: 1000 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, rateLimitPerMinute } = req.body;
+    const expiresInDays = parseInt(req.body.expiresInDays) || 90;
+
+    try {
+      // Keys can't manage keys, and can't carry more than their creator holds
+      const creatorPermissions = await getRolePermissions(req.user.role);
+      const deniedScopes = scopes.filter(
+        (scope) =>
+          scope === "apiKeys:manage" ||
+          exceedingPermissions([String(scope)], creatorPermissions).length > 0
+      );
+
+      if (deniedScopes.length > 0) {
+        return res.status(400).json({
+          message: `Scopes not allowed: ${deniedScopes.join(", ")}`,
+        });
+      }
+
+      const { apiKey, key } = await ApiKey.generate({
+        name,
+        scopes,
+        rateLimitPerMinute,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+        createdBy: req.user._id,
+      });
+
+      res.status(201).json({
+        message: "Store this key now, it will not be shown again",
+        key,
+        apiKey,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: Object.values(error.errors)
+            .map((e) => e.message)
+            .join(", "),
+        });
+      }
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Revoke an API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (apiKeys:manage)
+router.delete(
+  "/api-keys/:id",
+  rejectApiKeys,
+  requirePermission("apiKeys:manage"),
+  blockImpersonation,
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findOne({
+        _id: req.params.id,
+        revokedAt: null,
+      });
+
+      if (!apiKey) {
+        return res.status(404).json({ message: "API key not found" });
+      }
+
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      res.json({ message: "API key revoked successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Get OpenID Connect settings
+// @route   GET /api/admin/settings/oidc
+// @access  Private (settings:manage)
+router.get(
+  "/settings/oidc",
+  rejectApiKeys,
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const { oidcAdminDomains } = await SystemState.get();
+
+      res.json({ adminDomains: oidcAdminDomains });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Restrict which identity domains may sign in to staff accounts
+// @route   PUT /api/admin/settings/oidc
+// @access  Private (settings:manage)
+router.put(
+  "/settings/oidc",
+  rejectApiKeys,
+  requirePermission("settings:manage"),
+  blockImpersonation,
+  [
+    body("adminDomains", "Admin domains must be an array").isArray(),
+    body("adminDomains.*", "Each admin domain must be a valid domain").isFQDN(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const adminDomains = [
+        ...new Set(req.body.adminDomains.map((domain) => domain.toLowerCase())),
+      ];
+
+      await SystemState.updateOne(
+        { _id: "system" },
+        { oidcAdminDomains: adminDomains },
+        { upsert: true }
+      );
+
+      res.json({ message: "OpenID Connect settings updated", adminDomains });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 366;
+const STATS_DEFAULT_TOP = 5;
+
+const statsQueryRules = [
+  query("from", "from must be a date").optional().isISO8601(),
+  query("to", "to must be a date").optional().isISO8601(),
+  query("top", "top must be between 1 and 50")
+    .optional()
+    .isInt({ min: 1, max: 50 }),
+];
+
+// Resolve the stats date range. A bare date in `to` covers that whole day.
+const statsRange = ({ from, to }) => {
+  let end = to ? new Date(to) : new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end = new Date(end.getTime() + DAY_MS - 1);
+  }
+
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - STATS_DEFAULT_DAYS * DAY_MS);
+
+  return { from: start, to: end };
+};
+
+// @desc    Get admin dashboard stats
+// @route   GET /api/admin/stats
+// @access  Private (stats:read; user figures also need users:read)
+router.get(
+  "/stats",
+  requirePermission("stats:read"),
+  statsQueryRules,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const range = statsRange(req.query);
+      if (range.from > range.to) {
+        return res.status(400).json({
+          message: "from must be before to",
+          code: "INVALID_RANGE",
+        });
+      }
+
+      if (range.to - range.from > STATS_MAX_DAYS * DAY_MS) {
+        return res.status(400).json({
+          message: `The range cannot be longer than ${STATS_MAX_DAYS} days`,
+          code: "INVALID_RANGE",
+        });
+      }
+
+      // User figures are only for callers who may see the user list;
+      // stats:read alone (viewers, editors, API keys) gets content stats
+      const includeUsers =
+        permissionScope(req.permissions, "users:read") === "all";
+
+      const dashboard = await getDashboardStats({
+        ...range,
+        top: parseInt(req.query.top) || STATS_DEFAULT_TOP,
+        includeUsers,
+      });
+
+      if (!includeUsers) {
+        return res.json(dashboard);
+      }
+
+      const totalUsers = await User.countDocuments();
+      const activeUsers = await User.countDocuments({ isActive: true });
+      const adminUsers = await User.countDocuments({ role: "admin" });
+      const recentUsers = await User.find({})
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .select("name email createdAt");
+
+      res.json({
+        totalUsers,
+        activeUsers,
+        adminUsers,
+        inactiveUsers: totalUsers - activeUsers,
+        recentUsers,
+        ...dashboard,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
 
 module.exports = router;
@@ -1,29 +1,1114 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const multer = require("multer");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const PasswordReset = require("../models/PasswordReset");
-const { protect, authorize } = require("../middleware/auth");
+const MagicLink = require("../models/MagicLink");
+const Session = require("../models/Session");
+const Invitation = require("../models/Invitation");
+const OidcLogin = require("../models/OidcLogin");
+const ApiKey = require("../models/ApiKey");
+const SecurityEvent = require("../models/SecurityEvent");
+const {
+  protect,
+  rejectApiKeys,
+  blockImpersonation,
+} = require("../middleware/auth");
+const cloudinary = require("../config/cloudinary");
+const {
+  throttle,
+  getLockout,
+  sendLockedOut,
+  recordFailure,
+  clearFailures,
+} = require("../middleware/throttle");
+const {
+  emailVerificationMode,
+  accountDeletionGraceDays,
+  cookies: cookieConfig,
+} = require("../config/auth");
+const { getRolePermissions } = require("../utils/permissions");
+const {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  sendTokens,
+  sendAuthResponse,
+  clearAuthCookies,
+} = require("../utils/authResponse");
+const { issueCsrfToken } = require("../middleware/csrf");
+const { listAuthoredContent } = require("../utils/contentOwnership");
+const {
+  recordSecurityEvent,
+  securityEventQueryRules,
+  listSecurityEvents,
+} = require("../utils/securityEvents");
+const {
+  providers: oidcProviders,
+  loginExpireMinutes: oidcLoginExpireMinutes,
+} = require("../config/oidc");
+const {
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization,
+  isAdminDomainAllowed,
+} = require("../utils/oidc");
+const {
+  generateAccessToken,
+  issueRefreshToken,
+  consumeRefreshToken,
+  findRefreshTokenSession,
+  findAccessTokenSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeUserTokens,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+} = require("../utils/tokens");
+const {
+  sendEmail,
+  sendEmailInBackground,
+  clientLink,
+} = require("../utils/mailer");
+const {
+  isSetupComplete,
+  markSetupComplete,
+  reopenSetup,
+  ensureSetupToken,
+  verifySetupToken,
+} = require("../utils/setup");
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+// Account routes are for people, not machine clients
+router.use(rejectApiKeys);
+
+// Configure multer for memory storage
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith("image/")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only image files are allowed"), false);
+    }
+  },
+});
+
+// Reject sign-ins for deactivated or (if required) unverified accounts.
+// Returns true when a response has already been sent.
+const rejectBlockedUser = async (user, req, res) => {
+  if (!user.isActive) {
+    await user.recordBlockedLogin();
+    await recordSecurityEvent(req, user, "loginFailed", {
+      reason: "accountDeactivated",
+    });
+    res.status(403).json({
+      message: "Account has been deactivated",
+      code: "ACCOUNT_DEACTIVATED",
+    });
+    return true;
+  }
+
+  if (emailVerificationMode === "login" && !user.emailVerified) {
+    await recordSecurityEvent(req, user, "loginFailed", {
+      reason: "emailNotVerified",
+    });
+    res.status(403).json({
+      message: "Please verify your email address before signing in",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Finish a first-factor sign-in (`method` is how the user proved who they
+// are). Accounts with 2FA get a short-lived challenge token instead, to be
+// exchanged at /login/2fa together with a code.
+const completeSignIn = async (user, req, res, method = "password") => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user, method),
+    });
+  }
+
+  // Failures are only forgiven once the whole sign-in succeeds, so a correct
+  // password can't reset the count of wrong two-factor codes
+  await clearFailures("login", user.email);
+  await recordSecurityEvent(req, user, "loginSucceeded", { method });
+  await sendAuthResponse(user, req, res);
+};
+
+// Reply to a new registration. When sign-in needs a verified email there is
+// no session to hand out yet, only a request to confirm the address.
+const sendRegistrationResponse = async (user, req, res) => {
+  if (emailVerificationMode === "login" && !user.emailVerified) {
+    return res.status(201).json({
+      message: "Account created. Please verify your email address to sign in",
+      code: "EMAIL_VERIFICATION_REQUIRED",
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+    });
+  }
+
+  await sendAuthResponse(user, req, res, 201);
+};
+
+// Email a link that confirms the user's address (or a new one they asked for)
+const sendVerificationEmail = (user, email = user.email) => {
+  return sendEmail({
+    to: email,
+    template: "verifyEmail",
+    data: {
+      name: user.name,
+      url: clientLink("/verify-email", {
+        token: generateEmailVerificationToken(user, email),
+      }),
+    },
+  });
+};
+
+// Only the first admin is registered directly, with the setup token;
+// everyone after that joins through an invitation
+const requireSetupPending = async (req, res, next) => {
+  try {
+    if (await isSetupComplete()) {
+      return res.status(403).json({
+        message:
+          "Setup has already been completed, invite new admins from /api/admin/invitations",
+        code: "SETUP_COMPLETE",
+      });
+    }
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Server error" });
+  }
+
+  next();
+};
+
+// @desc    Register a new user
+// @route   POST /api/auth/register
+// @access  Public
+router.post(
+  "/register",
+  [
+    body("name", "Name is required").not().isEmpty(),
+    body("email", "Please include a valid email").isEmail(),
+    body("password", "Password must be at least 6 characters").isLength({
+      min: 6,
+    }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, password } = req.body;
+
+    try {
+      // Check if user exists
+      const userExists = await User.emailInUse(email);
+
+      if (userExists) {
+        return res.status(400).json({ message: "User already exists" });
+      }
+
+      // Create user
+      const user = await User.create({
+        name,
+        email,
+        password,
+      });
+
+      if (user) {
+        sendVerificationEmail(user).catch((error) => {
+          console.error("Failed to send verification email:", error);
+        });
+
+        await sendRegistrationResponse(user, req, res);
+      } else {
+        res.status(400).json({ message: "Invalid user data" });
+      }
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Authenticate user & get token
+// @route   POST /api/auth/login
+// @access  Public
+router.post(
+  "/login",
+  [
+    body("email", "Please include a valid email").isEmail(),
+    body("password", "Password is required").exists(),
+  ],
+  throttle("login"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password } = req.body;
+
+    try {
+      // Check for user
+      const user = await User.findOne({ email }).select("+password");
+
+      if (user && (await user.matchPassword(password))) {
+        if (await rejectBlockedUser(user, req, res)) {
+          return;
+        }
+
+        await completeSignIn(user, req, res);
+      } else {
+        await recordFailure("login", req, email);
+        if (user) {
+          await recordSecurityEvent(req, user, "loginFailed", {
+            reason: "invalidPassword",
+          });
+        }
+        res.status(401).json({
+          message: "Invalid credentials",
+          code: "INVALID_CREDENTIALS",
+        });
+      }
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Email a one-time sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+router.post(
+  "/magic-link",
+  [body("email", "Please include a valid email").isEmail()],
+  throttle("login"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    // Same answer whether or not the account exists, so the route can't be
+    // used to discover registered emails
+    const genericResponse = {
+      message:
+        "If an account exists for this email, a sign-in link has been sent",
+    };
+
+    try {
+      // Each request counts as a sign-in attempt until a link is used
+      await recordFailure("login", req, email);
+
+      const user = await User.findOne({ email });
+
+      if (!user) {
+        return res.json(genericResponse);
+      }
+
+      if (!user.isActive) {
+        await user.recordBlockedLogin();
+        return res.json(genericResponse);
+      }
+
+      const { token, record } = await MagicLink.issue(user._id);
+
+      try {
+        await sendEmail({
+          to: user.email,
+          template: "magicLink",
+          data: {
+            name: user.name,
+            url: clientLink("/magic-link", { token }),
+            expiresInMinutes: Math.round(
+              (record.expiresAt - Date.now()) / 60000
+            ),
+          },
+        });
+      } catch (mailError) {
+        console.error("Magic link email failed:", mailError);
+        await MagicLink.deleteOne({ _id: record._id });
+      }
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Sign in with a magic link token
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+router.post(
+  "/magic-link/verify",
+  [body("token", "Token is required").not().isEmpty()],
+  throttle("login"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const record = await MagicLink.consume(req.body.token);
+      const user = record && (await User.findById(record.user));
+
+      if (!user) {
+        await recordFailure("login", req);
+        return res.status(400).json({
+          message: "Invalid or expired sign-in link",
+          code: "MAGIC_LINK_INVALID",
+        });
+      }
+
+      // Opening the link proves the user controls the address
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+
+      if (await rejectBlockedUser(user, req, res)) {
+        return;
+      }
+
+      await completeSignIn(user, req, res, "magicLink");
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    List the OpenID Connect providers users can sign in with
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+router.get("/oidc/providers", (req, res) => {
+  res.json({
+    providers: Object.values(oidcProviders).map(({ id, name }) => ({
+      id,
+      name,
+    })),
   });
+});
+
+// Cookie binding an OpenID Connect sign-in to the browser that started it,
+// so a code and state from someone else's sign-in can't be replayed here
+const OIDC_COOKIE = "oidc_login";
+
+const oidcCookieOptions = () => ({
+  httpOnly: true,
+  secure: cookieConfig.secure,
+  sameSite: cookieConfig.sameSite,
+  domain: cookieConfig.domain,
+  path: "/api/auth/oidc",
+});
+
+// @desc    Start an OpenID Connect sign-in
+// @route   GET /api/auth/oidc/:provider/authorize
+// @access  Public
+router.get("/oidc/:provider/authorize", async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({ message: "Unknown identity provider" });
+  }
+
+  try {
+    const { authorizationUrl, state, nonce, codeVerifier } =
+      await createAuthorizationRequest(provider);
+
+    const browserKey = await OidcLogin.start({
+      provider: provider.id,
+      state,
+      nonce,
+      codeVerifier,
+    });
+
+    res.cookie(OIDC_COOKIE, browserKey, {
+      ...oidcCookieOptions(),
+      maxAge: oidcLoginExpireMinutes * 60 * 1000,
+    });
+
+    res.json({ authorizationUrl });
+  } catch (error) {
+    console.error(error);
+    if (error.name === "OidcError") {
+      return res.status(502).json({
+        message: "Identity provider is unavailable",
+        code: "OIDC_PROVIDER_ERROR",
+      });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Finish an OpenID Connect sign-in with the code from the provider
+// @route   POST /api/auth/oidc/:provider/callback
+// @access  Public
+router.post(
+  "/oidc/:provider/callback",
+  [
+    body("code", "Authorization code is required").not().isEmpty(),
+    body("state", "State is required").not().isEmpty(),
+  ],
+  throttle("login"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown identity provider" });
+    }
+
+    try {
+      const login = await OidcLogin.consume(
+        provider.id,
+        req.body.state,
+        req.cookies[OIDC_COOKIE]
+      );
+      res.clearCookie(OIDC_COOKIE, oidcCookieOptions());
+
+      if (!login) {
+        await recordFailure("login", req);
+        return res.status(400).json({
+          message: "Sign-in request is invalid or has expired",
+          code: "OIDC_STATE_INVALID",
+        });
+      }
+
+      const claims = await completeAuthorization(provider, {
+        code: req.body.code,
+        codeVerifier: login.codeVerifier,
+        nonce: login.nonce,
+      });
+
+      // Accounts are matched by email, so only a verified one will do
+      if (
+        !claims.email ||
+        (claims.email_verified !== true && claims.email_verified !== "true")
+      ) {
+        return res.status(403).json({
+          message: "Your identity provider has not verified your email",
+          code: "OIDC_EMAIL_UNVERIFIED",
+        });
+      }
+
+      const email = claims.email.toLowerCase();
+      const identity = { provider: provider.id, subject: claims.sub };
+
+      let user =
+        (await User.findOne({ identities: { $elemMatch: identity } })) ||
+        (await User.findOne({ email }));
+
+      if (user) {
+        // Staff accounts can be restricted to identities from trusted domains
+        const staff = (await getRolePermissions(user.role)).length > 0;
+
+        if (staff && !(await isAdminDomainAllowed(email))) {
+          await recordFailure("login", req, user.email);
+          await recordSecurityEvent(req, user, "loginFailed", {
+            reason: "identityDomainNotAllowed",
+            method: `oidc:${provider.id}`,
+          });
+          return res.status(403).json({
+            message: "This identity cannot be used to sign in to this account",
+            code: "OIDC_DOMAIN_NOT_ALLOWED",
+          });
+        }
+
+        const linked = user.identities.some(
+          (linkedIdentity) =>
+            linkedIdentity.provider === identity.provider &&
+            linkedIdentity.subject === identity.subject
+        );
+
+        if (!linked) {
+          user.identities.push({ ...identity, email, linkedAt: new Date() });
+        }
+
+        // Whoever registered an unverified address never proved they own
+        // it. Take away the password and sessions they may have left behind
+        // before handing the account to the verified owner.
+        const takeover = !linked && !user.emailVerified;
+
+        if (takeover) {
+          user.password = crypto.randomBytes(32).toString("hex");
+          user.pendingEmail = null;
+          user.tokenVersion = (user.tokenVersion || 0) + 1;
+        }
+
+        if (!user.emailVerified && user.email === email) {
+          user.emailVerified = true;
+          user.emailVerifiedAt = new Date();
+        }
+
+        await user.save();
+
+        if (takeover) {
+          await revokeUserSessions(user._id);
+        }
+      } else if (await User.emailInUse(email)) {
+        // A deleted account still holds the address until it is purged
+        return res.status(403).json({
+          message: "The account for this email has been deleted",
+          code: "ACCOUNT_DELETED",
+        });
+      } else {
+        // The account gets an unusable random password; the user can set
+        // one later through the password reset flow
+        user = await User.create({
+          name: claims.name || email.split("@")[0],
+          email,
+          password: crypto.randomBytes(32).toString("hex"),
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          identities: [{ ...identity, email, linkedAt: new Date() }],
+        });
+      }
+
+      if (await rejectBlockedUser(user, req, res)) {
+        return;
+      }
+
+      await completeSignIn(user, req, res, `oidc:${provider.id}`);
+    } catch (error) {
+      console.error(error);
+      if (error.name === "OidcError") {
+        return res.status(401).json({
+          message: "Sign-in with the identity provider failed",
+          code: "OIDC_FAILED",
+        });
+      }
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post(
+  "/refresh",
+  [
+    body("refreshToken", "Refresh token is required")
+      .if((value, { req }) => !req.cookies[REFRESH_COOKIE])
+      .not()
+      .isEmpty(),
+    body("refreshToken", "Refresh token must be a string")
+      .optional()
+      .isString(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      // Rotate: the presented token is revoked whether or not it is valid
+      const record = await consumeRefreshToken(
+        req.body.refreshToken || req.cookies[REFRESH_COOKIE]
+      );
+
+      if (!record) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired refresh token" });
+      }
+
+      const session = await Session.findOne({
+        _id: record.session,
+        revokedAt: null,
+      });
+
+      if (!session) {
+        return res.status(401).json({
+          message: "Not authorized, session has ended",
+          code: "SESSION_REVOKED",
+        });
+      }
+
+      const user = await User.findById(record.user);
+
+      if (!user) {
+        return res.status(401).json({
+          message: "Not authorized, user no longer exists",
+          code: "USER_NOT_FOUND",
+        });
+      }
+
+      if (await rejectBlockedUser(user, req, res)) {
+        return;
+      }
+
+      sendTokens(req, res, {
+        token: generateAccessToken(user, session._id),
+        refreshToken: await issueRefreshToken(user, req, session._id),
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Complete a sign-in with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires a challenge token)
+router.post(
+  "/login/2fa",
+  [
+    body("challengeToken", "Challenge token is required").not().isEmpty(),
+    body("code", "Authentication code is required").optional().isString(),
+    body("recoveryCode", "Recovery code must be a string")
+      .optional()
+      .isString(),
+  ],
+  throttle("login"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res
+        .status(400)
+        .json({ message: "Authentication code or recovery code is required" });
+    }
+
+    try {
+      const decoded = verifyTwoFactorChallengeToken(challengeToken);
+      const user = decoded
+        ? await User.findById(decoded.id).select(
+            "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+          )
+        : null;
+
+      if (
+        !user ||
+        !user.twoFactor.enabled ||
+        user.tokenVersion !== decoded.tv
+      ) {
+        return res
+          .status(401)
+          .json({ message: "Invalid or expired challenge token" });
+      }
+
+      // The body carries no email, so check the account lock here
+      const retryAfter = await getLockout("login", req, user.email);
+      if (retryAfter > 0) {
+        return sendLockedOut(res, retryAfter);
+      }
+
+      if (await rejectBlockedUser(user, req, res)) {
+        return;
+      }
+
+      if (!user.consumeSecondFactor({ code, recoveryCode })) {
+        await recordFailure("login", req, user.email);
+        await recordSecurityEvent(req, user, "loginFailed", {
+          reason: "invalidTwoFactorCode",
+          method: decoded.method,
+        });
+        return res.status(401).json({
+          message: "Invalid authentication code",
+          code: "INVALID_2FA_CODE",
+        });
+      }
+
+      await user.save();
+      await clearFailures("login", user.email);
+      await recordSecurityEvent(req, user, "loginSucceeded", {
+        method: decoded.method,
+        secondFactor: code ? "totp" : "recoveryCode",
+      });
+
+      await sendAuthResponse(user, req, res, 200, {
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Get current logged in user
+// @route   GET /api/auth/me
+// @access  Private
+router.get("/me", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: await getRolePermissions(user.role),
+      avatar: user.avatar,
+      emailVerified: user.emailVerified,
+      pendingEmail: user.pendingEmail,
+      deletionScheduledFor: user.deletionScheduledFor,
+      createdAt: user.createdAt,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Get the current user's security history
+// @route   GET /api/auth/me/security-events?page=&limit=&type=
+// @access  Private
+router.get(
+  "/me/security-events",
+  protect,
+  securityEventQueryRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      res.json(await listSecurityEvents(req.user._id, req.query));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Download a copy of the current user's data
+// @route   GET /api/auth/me/export
+// @access  Private
+router.get("/me/export", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const [sessions, securityEvents, apiKeys, content] = await Promise.all([
+      Session.find({ user: user._id }).sort({ createdAt: -1 }),
+      SecurityEvent.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+      ApiKey.find({ createdBy: user._id }).sort({ createdAt: -1 }),
+      listAuthoredContent(user._id),
+    ]);
+
+    res.attachment(`account-export-${user._id}.json`);
+    res.json({
+      exportedAt: new Date(),
+      profile: user,
+      sessions: sessions.map((session) => ({
+        ...formatSession(session, req.authSession._id),
+        revokedAt: session.revokedAt,
+      })),
+      securityEvents,
+      apiKeys,
+      content,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Schedule the current user's account for deletion
+// @route   DELETE /api/auth/me
+// @access  Private
+router.delete(
+  "/me",
+  protect,
+  blockImpersonation,
+  [body("password", "Password is required").not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select("+password");
+
+      if (!(await user.matchPassword(req.body.password))) {
+        return res.status(400).json({
+          message: "Password is incorrect",
+          code: "INVALID_CREDENTIALS",
+        });
+      }
+
+      if (user.deletionScheduledFor) {
+        return res.status(400).json({
+          message: "Account deletion is already scheduled",
+          deletionScheduledFor: user.deletionScheduledFor,
+        });
+      }
+
+      // Don't let the installation lose its last administrator
+      if (user.role === "admin") {
+        const otherAdmins = await User.countDocuments({
+          _id: { $ne: user._id },
+          role: "admin",
+          isActive: true,
+          deletionScheduledFor: null,
+        });
+
+        if (otherAdmins === 0) {
+          return res
+            .status(400)
+            .json({ message: "Cannot delete the only admin account" });
+        }
+      }
+
+      user.deletionRequestedAt = new Date();
+      user.deletionScheduledFor = new Date(
+        Date.now() + accountDeletionGraceDays * 24 * 60 * 60 * 1000
+      );
+      await user.save();
+
+      // Keep this device signed in so the request can still be cancelled
+      await revokeUserSessions(user._id, req.authSession._id);
+      await recordSecurityEvent(req, user, "accountDeletionRequested", {
+        scheduledFor: user.deletionScheduledFor,
+      });
+
+      sendEmailInBackground({
+        to: user.email,
+        template: "accountDeletion",
+        data: {
+          name: user.name,
+          scheduledFor: user.deletionScheduledFor,
+          url: clientLink("/login"),
+        },
+      });
+
+      res.json({
+        message: "Account scheduled for deletion",
+        deletionScheduledFor: user.deletionScheduledFor,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/me/cancel-deletion
+// @access  Private
+router.post(
+  "/me/cancel-deletion",
+  protect,
+  blockImpersonation,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (!user.deletionScheduledFor) {
+        return res
+          .status(400)
+          .json({ message: "Account deletion is not scheduled" });
+      }
+
+      user.deletionRequestedAt = null;
+      user.deletionScheduledFor = null;
+      await user.save();
+
+      await recordSecurityEvent(req, user, "accountDeletionCancelled");
+
+      res.json({ message: "Account deletion cancelled" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Update current user's profile
+// @route   PATCH /api/auth/me
+// @access  Private
+router.patch(
+  "/me",
+  protect,
+  blockImpersonation,
+  [
+    body("name", "Name cannot be empty").optional().trim().not().isEmpty(),
+    body("email", "Please include a valid email").optional().isEmail(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email } = req.body;
+
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (name !== undefined) user.name = name;
+
+      // A new address only replaces the current one once it is confirmed
+      let verificationSent = false;
+      if (email !== undefined && email.toLowerCase() !== user.email) {
+        const taken = await User.emailInUse(email);
+
+        if (taken) {
+          return res
+            .status(400)
+            .json({ message: "Email is already in use by another account" });
+        }
+
+        user.pendingEmail = email;
+        verificationSent = true;
+      }
+
+      await user.save();
+
+      if (verificationSent) {
+        await sendVerificationEmail(user, user.pendingEmail);
+      }
+
+      res.json({
+        message: verificationSent
+          ? "Profile updated. Check your new email address to confirm the change"
+          : "Profile updated successfully",
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          pendingEmail: user.pendingEmail,
+          role: user.role,
+          avatar: user.avatar,
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove the user's current avatar from Cloudinary, if we uploaded it
+const destroyAvatar = async (user) => {
+  if (!user.avatarPublicId) {
+    return;
+  }
+
+  try {
+    await cloudinary.uploader.destroy(user.avatarPublicId);
+  } catch (cloudinaryError) {
+    console.error("Cloudinary delete error:", cloudinaryError);
+    // Don't fail the update if image deletion fails
+  }
 };
 
-// @desc    Register a new user
-// @route   POST /api/auth/register
-// @access  Public
+// @desc    Upload a new avatar for the current user
+// @route   POST /api/auth/me/avatar
+// @access  Private
+router.post(
+  "/me/avatar",
+  protect,
+  upload.single("avatar"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: "No image file provided" });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      // Upload to Cloudinary
+      const result = await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          {
+            folder: "avatars",
+            resource_type: "image",
+            transformation: [{ width: 400, height: 400, crop: "fill" }],
+          },
+          (error, result) => {
+            if (error) reject(error);
+            else resolve(result);
+          }
+        );
+        stream.end(req.file.buffer);
+      });
+
+      await destroyAvatar(user);
+
+      user.avatar = result.secure_url;
+      user.avatarPublicId = result.public_id;
+      await user.save();
+
+      res.json({ message: "Avatar updated successfully", avatar: user.avatar });
+    } catch (error) {
+      console.error("Avatar upload error:", error);
+      res.status(500).json({ message: "Avatar upload failed" });
+    }
+  }
+);
+
+// @desc    Remove the current user's avatar
+// @route   DELETE /api/auth/me/avatar
+// @access  Private
+router.delete("/me/avatar", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    await destroyAvatar(user);
+
+    user.avatar = "";
+    user.avatarPublicId = "";
+    await user.save();
+
+    res.json({ message: "Avatar removed successfully" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Change password
+// @route   POST /api/auth/change-password
+// @access  Private
 router.post(
-  "/register",
+  "/change-password",
+  protect,
+  blockImpersonation,
   [
-    body("name", "Name is required").not().isEmpty(),
-    body("email", "Please include a valid email").isEmail(),
-    body("password", "Password must be at least 6 characters").isLength({
+    body("currentPassword", "Current password is required").not().isEmpty(),
+    body("newPassword", "Password must be at least 6 characters").isLength({
       min: 6,
     }),
   ],
@@ -33,34 +1118,32 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password } = req.body;
+    const { currentPassword, newPassword } = req.body;
 
     try {
-      // Check if user exists
-      const userExists = await User.findOne({ email });
+      const user = await User.findById(req.user._id).select("+password");
 
-      if (userExists) {
-        return res.status(400).json({ message: "User already exists" });
+      if (!(await user.matchPassword(currentPassword))) {
+        return res.status(400).json({
+          message: "Current password is incorrect",
+          code: "INVALID_CREDENTIALS",
+        });
       }
 
-      // Create user
-      const user = await User.create({
-        name,
-        email,
-        password,
+      user.password = newPassword;
+      await user.save();
+
+      // Keep this device signed in, sign out everywhere else
+      await revokeUserSessions(user._id, req.authSession._id);
+      await recordSecurityEvent(req, user, "passwordChanged");
+
+      sendEmailInBackground({
+        to: user.email,
+        template: "securityAlert",
+        data: { name: user.name, action: "passwordChanged", ip: req.ip },
       });
 
-      if (user) {
-        res.status(201).json({
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          token: generateToken(user._id),
-        });
-      } else {
-        res.status(400).json({ message: "Invalid user data" });
-      }
+      res.json({ message: "Password changed successfully" });
     } catch (error) {
       console.error(error);
       res.status(500).json({ message: "Server error" });
@@ -68,38 +1151,111 @@ router.post(
   }
 );
 
-// @desc    Authenticate user & get token
-// @route   POST /api/auth/login
+// Confirm an email address from a verification token
+const verifyEmail = async (req, res) => {
+  const token = req.body?.token || req.query.token;
+
+  if (!token) {
+    return res.status(400).json({ message: "Verification token is required" });
+  }
+
+  try {
+    const decoded = verifyEmailVerificationToken(token);
+    const user = decoded ? await User.findById(decoded.id) : null;
+
+    // Confirming a change of address requested through PATCH /me
+    if (user && decoded.email === user.pendingEmail) {
+      const taken = await User.emailInUse(user.pendingEmail);
+
+      if (taken) {
+        return res
+          .status(400)
+          .json({ message: "Email is already in use by another account" });
+      }
+
+      const previousEmail = user.email;
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      await recordSecurityEvent(req, user, "emailChanged", {
+        from: previousEmail,
+        to: user.email,
+      });
+
+      sendEmailInBackground({
+        to: previousEmail,
+        template: "securityAlert",
+        data: { name: user.name, action: "emailChanged", ip: req.ip },
+      });
+
+      return res.json({ message: "Email updated successfully" });
+    }
+
+    // A token issued for a previous address is no longer valid
+    if (!user || user.email !== decoded.email) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification token" });
+    }
+
+    if (user.emailVerified) {
+      return res.json({ message: "Email already verified" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    sendEmailInBackground({
+      to: user.email,
+      template: "welcome",
+      data: {
+        name: user.name,
+        url: clientLink(user.role === "admin" ? "/admin/login" : "/login"),
+      },
+    });
+
+    res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email?token=
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.get("/verify-email", verifyEmail);
+router.post("/verify-email", verifyEmail);
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify-email/resend
 // @access  Public
 router.post(
-  "/login",
-  [
-    body("email", "Please include a valid email").isEmail(),
-    body("password", "Password is required").exists(),
-  ],
+  "/verify-email/resend",
+  [body("email", "Please include a valid email").isEmail()],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password } = req.body;
-
     try {
-      // Check for user
-      const user = await User.findOne({ email }).select("+password");
+      const user = await User.findOne({ email: req.body.email });
 
-      if (user && (await user.matchPassword(password))) {
-        res.json({
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          token: generateToken(user._id),
-        });
-      } else {
-        res.status(401).json({ message: "Invalid credentials" });
+      if (user && !user.emailVerified) {
+        await sendVerificationEmail(user);
       }
+
+      // Same answer either way so the route can't be used to probe accounts
+      res.json({
+        message:
+          "If the account exists and is unverified, a verification email has been sent",
+      });
     } catch (error) {
       console.error(error);
       res.status(500).json({ message: "Server error" });
@@ -107,20 +1263,36 @@ router.post(
   }
 );
 
-// @desc    Get current logged in user
-// @route   GET /api/auth/me
-// @access  Private
-router.get("/me", protect, async (req, res) => {
+// @desc    Report whether the first admin has been created
+// @route   GET /api/auth/setup-status
+// @access  Public
+router.get("/setup-status", async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    res.json({ setupComplete: await isSetupComplete() });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Look up an invitation before accepting it
+// @route   GET /api/auth/invitation?token=
+// @access  Public
+router.get("/invitation", async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.query.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        message: "Invalid or expired invitation",
+        code: "INVITATION_INVALID",
+      });
+    }
 
     res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      avatar: user.avatar,
-      createdAt: user.createdAt,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
     });
   } catch (error) {
     console.error(error);
@@ -128,11 +1300,75 @@ router.get("/me", protect, async (req, res) => {
   }
 });
 
-// @desc    Register a new admin user
+// @desc    Accept an invitation and choose a name and password
+// @route   POST /api/auth/invitation/accept
+// @access  Public
+router.post(
+  "/invitation/accept",
+  [
+    body("token", "Invitation token is required").not().isEmpty(),
+    body("name", "Name is required").not().isEmpty(),
+    body("password", "Password must be at least 6 characters").isLength({
+      min: 6,
+    }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const invitation = await Invitation.findByToken(req.body.token);
+
+      if (!invitation) {
+        return res.status(400).json({
+          message: "Invalid or expired invitation",
+          code: "INVITATION_INVALID",
+        });
+      }
+
+      if (await User.emailInUse(invitation.email)) {
+        return res.status(400).json({ message: "User already exists" });
+      }
+
+      // Claim before creating the user so a link can only be used once
+      if (!(await Invitation.claim(invitation))) {
+        return res.status(400).json({
+          message: "Invalid or expired invitation",
+          code: "INVITATION_INVALID",
+        });
+      }
+
+      // Receiving the invitation proves ownership of the address
+      const user = await User.create({
+        name: req.body.name,
+        email: invitation.email,
+        password: req.body.password,
+        role: invitation.role,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { acceptedUser: user._id }
+      );
+
+      await sendAuthResponse(user, req, res, 201);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Register the first admin user
 // @route   POST /api/auth/admin/register
-// @access  Private (Admin only) or Public (for first admin)
+// @access  Setup token (before setup is complete)
 router.post(
   "/admin/register",
+  requireSetupPending,
   [
     body("name", "Name is required").not().isEmpty(),
     body("email", "Please include a valid email").isEmail(),
@@ -150,51 +1386,48 @@ router.post(
 
     try {
       // Check if user exists
-      const userExists = await User.findOne({ email });
+      const userExists = await User.emailInUse(email);
 
       if (userExists) {
         return res.status(400).json({ message: "User already exists" });
       }
 
-      // Check if any admins exist
-      const adminCount = await User.countDocuments({ role: "admin" });
-
-      // If admins exist, require authentication
-      if (adminCount > 0) {
-        // Manually check authentication since we can't conditionally apply middleware
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith("Bearer ")) {
-          return res.status(401).json({ message: "Authentication required" });
-        }
-
-        const token = authHeader.split(" ")[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const authenticatedUser = await User.findById(decoded.id);
+      if (!(await verifySetupToken(req.body.setupToken))) {
+        // Make sure a token exists for the operator to find in the logs
+        await ensureSetupToken();
+        return res.status(403).json({
+          message: "A valid setup token is required to create the first admin",
+          code: "SETUP_TOKEN_REQUIRED",
+        });
+      }
 
-        if (!authenticatedUser || authenticatedUser.role !== "admin") {
-          return res
-            .status(403)
-            .json({ message: "Only admins can create admin accounts" });
-        }
+      // Claim setup before creating the user so only one request wins
+      if (!(await markSetupComplete())) {
+        return res
+          .status(409)
+          .json({ message: "Setup has already been completed" });
       }
 
       // Create admin user
-      const user = await User.create({
-        name,
-        email,
-        password,
-        role: "admin",
-      });
+      let user;
+      try {
+        user = await User.create({
+          name,
+          email,
+          password,
+          role: "admin",
+        });
+      } catch (createError) {
+        await reopenSetup();
+        throw createError;
+      }
 
       if (user) {
-        res.status(201).json({
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          token: generateToken(user._id),
+        sendVerificationEmail(user).catch((error) => {
+          console.error("Failed to send verification email:", error);
         });
+
+        await sendRegistrationResponse(user, req, res);
       } else {
         res.status(400).json({ message: "Invalid user data" });
       }
@@ -214,6 +1447,7 @@ router.post(
     body("email", "Please include a valid email").isEmail(),
     body("password", "Password is required").exists(),
   ],
+  throttle("login"),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -223,34 +1457,29 @@ router.post(
     const { email, password } = req.body;
 
     try {
-      // First, check if any admins exist
-      const adminCount = await User.countDocuments({ role: "admin" });
+      const user = await User.findOne({ email }).select("+password");
 
-      let user;
+      // Only staff roles (any role with permissions) may sign in here
+      const isStaff = user && (await getRolePermissions(user.role)).length > 0;
 
-      if (adminCount === 0) {
-        // If no admins exist, allow login with any user (for bootstrapping)
-        user = await User.findOne({ email }).select("+password");
-        // Automatically promote this user to admin on first login
-        if (user) {
-          user.role = "admin";
-          await user.save();
+      if (isStaff && (await user.matchPassword(password))) {
+        if (await rejectBlockedUser(user, req, res)) {
+          return;
         }
-      } else {
-        // If admins exist, only allow admin users to login
-        user = await User.findOne({ email, role: "admin" }).select("+password");
-      }
 
-      if (user && (await user.matchPassword(password))) {
-        res.json({
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          token: generateToken(user._id),
-        });
+        await completeSignIn(user, req, res);
       } else {
-        res.status(401).json({ message: "Invalid admin credentials" });
+        await recordFailure("login", req, email);
+        if (user) {
+          await recordSecurityEvent(req, user, "loginFailed", {
+            reason: isStaff ? "invalidPassword" : "notStaff",
+            method: "adminPassword",
+          });
+        }
+        res.status(401).json({
+          message: "Invalid admin credentials",
+          code: "INVALID_CREDENTIALS",
+        });
       }
     } catch (error) {
       console.error(error);
@@ -265,6 +1494,7 @@ router.post(
 router.post(
   "/forgot-password",
   [body("email", "Please include a valid email").isEmail()],
+  throttle("passwordReset"),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -273,29 +1503,47 @@ router.post(
 
     const { email } = req.body;
 
+    // Same answer whether or not the account exists, so the route can't be
+    // used to discover registered emails
+    const genericResponse = {
+      message:
+        "If an account exists for this email, a reset link has been sent",
+    };
+
     try {
+      // Every request counts towards the reset rate limit
+      await recordFailure("passwordReset", req, email);
+
       const user = await User.findOne({ email });
 
       if (!user) {
-        return res.status(404).json({ message: "User not found" });
+        return res.json(genericResponse);
       }
 
-      // Generate reset token
-      const resetToken = crypto.randomBytes(32).toString("hex");
+      await recordSecurityEvent(req, user, "passwordResetRequested");
 
-      // Save reset token
-      await PasswordReset.create({
-        user: user._id,
-        resetToken,
-      });
+      // Issue a fresh reset token, revoking any pending ones
+      const { token: resetToken, record: passwordReset } =
+        await PasswordReset.issue(user._id);
 
-      // In production, send email here
-      // For now, return token in response (development only)
-      res.json({
-        message: "Password reset email sent",
-        resetToken:
-          process.env.NODE_ENV === "development" ? resetToken : undefined,
-      });
+      try {
+        await sendEmail({
+          to: user.email,
+          template: "passwordReset",
+          data: {
+            name: user.name,
+            url: clientLink("/reset-password", { token: resetToken }),
+            expiresInMinutes: Math.round(
+              (passwordReset.expiresAt - Date.now()) / 60000
+            ),
+          },
+        });
+      } catch (mailError) {
+        console.error("Password reset email failed:", mailError);
+        await PasswordReset.deleteOne({ _id: passwordReset._id });
+      }
+
+      res.json(genericResponse);
     } catch (error) {
       console.error(error);
       res.status(500).json({ message: "Server error" });
@@ -323,10 +1571,8 @@ router.post(
     const { resetToken, newPassword } = req.body;
 
     try {
-      // Find valid reset token
-      const passwordReset = await PasswordReset.findOne({
-        expiresAt: { $gt: new Date() },
-      });
+      // Look up the token by its selector and redeem it
+      const passwordReset = await PasswordReset.consume(resetToken);
 
       if (!passwordReset) {
         return res
@@ -334,22 +1580,38 @@ router.post(
           .json({ message: "Invalid or expired reset token" });
       }
 
-      // Validate token
-      const isValidToken = await passwordReset.isValidToken(resetToken);
+      const user = await User.findById(passwordReset.user);
 
-      if (!isValidToken) {
+      if (!user) {
         return res
           .status(400)
           .json({ message: "Invalid or expired reset token" });
       }
 
       // Update user password
-      const user = await User.findById(passwordReset.user);
       user.password = newPassword;
+
+      // The link was emailed, so redeeming it proves the address. This is
+      // also how admin-created accounts are activated.
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+
       await user.save();
 
-      // Delete reset token
-      await PasswordReset.deleteOne({ _id: passwordReset._id });
+      // Sign the user out everywhere the old password was used
+      await revokeUserTokens(user._id);
+      await recordSecurityEvent(req, user, "passwordReset");
+
+      sendEmailInBackground({
+        to: user.email,
+        template: "securityAlert",
+        data: { name: user.name, action: "passwordReset", ip: req.ip },
+      });
+
+      // Drop this and any other outstanding tokens for the user
+      await PasswordReset.deleteMany({ user: user._id });
 
       res.json({ message: "Password reset successful" });
     } catch (error) {
@@ -359,13 +1621,113 @@ router.post(
   }
 );
 
+// Shape a session for API responses
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session._id.equals(currentSessionId),
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get("/sessions", protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) =>
+        formatSession(session, req.authSession._id)
+      ),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Sign out every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete("/sessions", protect, blockImpersonation, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, req.authSession._id);
+
+    res.json({ message: "Other sessions revoked successfully", revoked });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Sign out a single device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete(
+  "/sessions/:id",
+  protect,
+  blockImpersonation,
+  async (req, res) => {
+    try {
+      const session = await Session.findOne({
+        _id: req.params.id,
+        user: req.user._id,
+        revokedAt: null,
+      });
+
+      if (!session) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+
+      await revokeSession(session._id);
+
+      res.json({ message: "Session revoked successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Issue a CSRF token for cookie-mode clients
+// @route   GET /api/auth/csrf-token
+// @access  Public
+router.get("/csrf-token", (req, res) => {
+  res.json({ csrfToken: issueCsrfToken(res) });
+});
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
-// @access  Private
-router.post("/logout", protect, async (req, res) => {
+// @access  Public
+// Works without a live access token: in cookie mode the access cookie
+// expires long before the refresh cookie, which still identifies the session
+router.post("/logout", async (req, res) => {
+  // The client is signed out locally whatever happens below
+  clearAuthCookies(res);
+
   try {
-    // In a JWT-based system, logout is handled on the client side
-    // by removing the token from storage
+    const refreshToken = req.body?.refreshToken || req.cookies[REFRESH_COOKIE];
+    const authorization = req.headers.authorization;
+    const accessToken = authorization?.startsWith("Bearer")
+      ? authorization.split(" ")[1]
+      : req.cookies[ACCESS_COOKIE];
+
+    const sessionId =
+      (refreshToken && (await findRefreshTokenSession(refreshToken))) ||
+      (accessToken && findAccessTokenSession(accessToken));
+
+    // Only this device is signed out; see DELETE /sessions for the rest
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+
     res.json({ message: "Logged out successfully" });
   } catch (error) {
     console.error(error);
@@ -2,7 +2,13 @@ const express = require("express");
 const multer = require("multer");
 const { body, validationResult } = require("express-validator");
 const Blog = require("../models/Blog");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  requirePermission,
+  canModify,
+  ownershipFilter,
+} = require("../middleware/auth");
+const { permissionScope } = require("../utils/permissions");
 const cloudinary = require("../config/cloudinary");
 
 const router = express.Router();
@@ -23,13 +29,22 @@ const upload = multer({
   },
 });
 
+// Active blogs are public, so only blog:publish holders may make one active.
+// Everyone else's posts stay drafts until someone who can publish approves.
+const canPublish = (req) =>
+  permissionScope(req.permissions, "blog:publish") === "all";
+
+const publishRefusal = {
+  message: "You do not have permission to publish blogs",
+};
+
 // @desc    Upload image to Cloudinary
 // @route   POST /api/blogs/upload-image
-// @access  Private (Admin only)
+// @access  Private (blog:create)
 router.post(
   "/upload-image",
   protect,
-  authorize("admin"),
+  requirePermission("blog:create"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -91,7 +106,7 @@ router.get("/", async (req, res) => {
     }
 
     const blogs = await Blog.find(query)
-      .populate("author", "name email")
+      .populate("author", "name")
       .sort({ order: 1, createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -123,15 +138,12 @@ router.get("/:id", async (req, res) => {
 
     // Check if it's a valid ObjectId
     if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      blog = await Blog.findById(req.params.id).populate(
-        "author",
-        "name email"
-      );
+      blog = await Blog.findById(req.params.id).populate("author", "name");
     } else {
       // Treat as slug
       blog = await Blog.findOne({ slug: req.params.id }).populate(
         "author",
-        "name email"
+        "name"
       );
     }
 
@@ -157,11 +169,11 @@ router.get("/:id", async (req, res) => {
 
 // @desc    Create a new blog
 // @route   POST /api/blogs
-// @access  Private (Admin only)
+// @access  Private (blog:create)
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("blog:create"),
   upload.single("image"),
   async (req, res) => {
     // Manual validation for multipart/form-data
@@ -231,6 +243,10 @@ router.post(
       return res.status(400).json({ errors });
     }
 
+    if (status === "active" && !canPublish(req)) {
+      return res.status(403).json(publishRefusal);
+    }
+
     try {
       let imageUrl = image || "";
 
@@ -264,7 +280,7 @@ router.post(
           mediumLinkEnabled !== undefined
             ? JSON.parse(mediumLinkEnabled)
             : true,
-        status: status || "active",
+        status: status || (canPublish(req) ? "active" : "inactive"),
         order: order || 0,
         author: req.user._id,
       });
@@ -293,11 +309,11 @@ router.post(
 
 // @desc    Update a blog
 // @route   PATCH /api/blogs/:id
-// @access  Private (Admin only)
+// @access  Private (blog:update)
 router.patch(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("blog:update"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -307,6 +323,13 @@ router.patch(
         return res.status(404).json({ message: "Blog not found" });
       }
 
+      // Authors may only change their own blogs
+      if (!canModify(req, blog)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own blogs" });
+      }
+
       const {
         title,
         tags,
@@ -320,6 +343,10 @@ router.patch(
         order,
       } = req.body;
 
+      if (status === "active" && blog.status !== "active" && !canPublish(req)) {
+        return res.status(403).json(publishRefusal);
+      }
+
       // Handle image update - if new image file is uploaded, upload to Cloudinary
       let imageUrl = blog.image; // Keep existing image by default
       if (req.file) {
@@ -408,7 +435,7 @@ router.patch(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("blog:update"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -418,6 +445,13 @@ router.put(
         return res.status(404).json({ message: "Blog not found" });
       }
 
+      // Authors may only change their own blogs
+      if (!canModify(req, blog)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own blogs" });
+      }
+
       const {
         title,
         tags,
@@ -431,6 +465,10 @@ router.put(
         order,
       } = req.body;
 
+      if (status === "active" && blog.status !== "active" && !canPublish(req)) {
+        return res.status(403).json(publishRefusal);
+      }
+
       // Handle image update - if new image file is uploaded, upload to Cloudinary
       let imageUrl = blog.image; // Keep existing image by default
       if (req.file) {
@@ -517,92 +555,114 @@ router.put(
 
 // @desc    Delete a blog
 // @route   DELETE /api/blogs/:id
-// @access  Private (Admin only)
-router.delete("/:id", protect, authorize("admin"), async (req, res) => {
-  try {
-    const blog = await Blog.findById(req.params.id);
+// @access  Private (blog:delete)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("blog:delete"),
+  async (req, res) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
 
-    if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
-    }
+      if (!blog) {
+        return res.status(404).json({ message: "Blog not found" });
+      }
 
-    // Delete image from Cloudinary if exists
-    if (blog.image) {
-      try {
-        const publicId = blog.image.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(`blog-images/${publicId}`);
-      } catch (cloudinaryError) {
-        console.error("Cloudinary delete error:", cloudinaryError);
-        // Don't fail the blog deletion if image deletion fails
+      // Authors may only change their own blogs
+      if (!canModify(req, blog)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own blogs" });
+      }
+
+      // Delete image from Cloudinary if exists
+      if (blog.image) {
+        try {
+          const publicId = blog.image.split("/").pop().split(".")[0];
+          await cloudinary.uploader.destroy(`blog-images/${publicId}`);
+        } catch (cloudinaryError) {
+          console.error("Cloudinary delete error:", cloudinaryError);
+          // Don't fail the blog deletion if image deletion fails
+        }
       }
-    }
 
-    await Blog.deleteOne({ _id: req.params.id });
+      await Blog.deleteOne({ _id: req.params.id });
 
-    res.json({ message: "Blog deleted successfully" });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({ message: "Blog deleted successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // @desc    Publish/Unpublish a blog
 // @route   PATCH /api/blogs/:id/publish
-// @access  Private (Admin only)
-router.patch("/:id/publish", protect, authorize("admin"), async (req, res) => {
-  try {
-    const blog = await Blog.findById(req.params.id);
+// @access  Private (blog:publish)
+router.patch(
+  "/:id/publish",
+  protect,
+  requirePermission("blog:publish"),
+  async (req, res) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
 
-    if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
-    }
+      if (!blog) {
+        return res.status(404).json({ message: "Blog not found" });
+      }
 
-    blog.isPublished = !blog.isPublished;
-    await blog.save();
+      blog.isPublished = !blog.isPublished;
+      await blog.save();
 
-    res.json({
-      message: `Blog ${
-        blog.isPublished ? "published" : "unpublished"
-      } successfully`,
-      isPublished: blog.isPublished,
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        message: `Blog ${
+          blog.isPublished ? "published" : "unpublished"
+        } successfully`,
+        isPublished: blog.isPublished,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // @desc    Get all blogs (admin view - includes unpublished)
 // @route   GET /api/blogs/admin/all
-// @access  Private (Admin only)
-router.get("/admin/all", protect, authorize("admin"), async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
-    const skip = limit ? (page - 1) * limit : 0;
+// @access  Private (blog:read)
+router.get(
+  "/admin/all",
+  protect,
+  requirePermission("blog:read"),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      const skip = limit ? (page - 1) * limit : 0;
 
-    const blogs = await Blog.find()
-      .populate("author", "name email")
-      .sort({ order: 1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select("-__v");
+      const blogs = await Blog.find(ownershipFilter(req))
+        .populate("author", "name email")
+        .sort({ order: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-__v");
 
-    const total = await Blog.countDocuments();
+      const total = await Blog.countDocuments(ownershipFilter(req));
 
-    res.json({
-      blogs,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        blogs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 module.exports = router;
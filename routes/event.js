@@ -2,7 +2,12 @@ const express = require("express");
 const multer = require("multer");
 const { body, validationResult } = require("express-validator");
 const Event = require("../models/Event");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  requirePermission,
+  canModify,
+  ownershipFilter,
+} = require("../middleware/auth");
 const cloudinary = require("../config/cloudinary");
 
 const router = express.Router();
@@ -41,11 +46,11 @@ const uploadMultiple = multer({
 
 // @desc    Upload image to Cloudinary
 // @route   POST /api/events/upload-image
-// @access  Private (Admin only)
+// @access  Private (event:create)
 router.post(
   "/upload-image",
   protect,
-  authorize("admin"),
+  requirePermission("event:create"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -82,11 +87,11 @@ router.post(
 
 // @desc    Upload multiple images to Cloudinary
 // @route   POST /api/events/upload-images
-// @access  Private (Admin only)
+// @access  Private (event:create)
 router.post(
   "/upload-images",
   protect,
-  authorize("admin"),
+  requirePermission("event:create"),
   uploadMultiple.array("images", 10),
   async (req, res) => {
     try {
@@ -158,7 +163,7 @@ router.get("/", async (req, res) => {
     }
 
     const events = await Event.find(query)
-      .populate("author", "name email")
+      .populate("author", "name")
       .sort({ order: 1, displayDate: -1 })
       .skip(skip)
       .limit(limit)
@@ -190,15 +195,12 @@ router.get("/:id", async (req, res) => {
 
     // Check if it's a valid ObjectId
     if (req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      event = await Event.findById(req.params.id).populate(
-        "author",
-        "name email"
-      );
+      event = await Event.findById(req.params.id).populate("author", "name");
     } else {
       // Treat as slug
       event = await Event.findOne({ slug: req.params.id }).populate(
         "author",
-        "name email"
+        "name"
       );
     }
 
@@ -219,11 +221,11 @@ router.get("/:id", async (req, res) => {
 
 // @desc    Create a new event
 // @route   POST /api/events
-// @access  Private (Admin only)
+// @access  Private (event:create)
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("event:create"),
   upload.fields([
     { name: "image", maxCount: 1 },
     { name: "images", maxCount: 10 },
@@ -419,11 +421,11 @@ router.post(
 
 // @desc    Update an event
 // @route   PATCH /api/events/:id
-// @access  Private (Admin only)
+// @access  Private (event:update)
 router.patch(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("event:update"),
   upload.fields([
     { name: "image", maxCount: 1 },
     { name: "images", maxCount: 10 },
@@ -436,6 +438,13 @@ router.patch(
         return res.status(404).json({ message: "Event not found" });
       }
 
+      // Authors may only change their own events
+      if (!canModify(req, event)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own events" });
+      }
+
       const {
         title,
         tags,
@@ -568,7 +577,7 @@ router.patch(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("event:update"),
   upload.fields([
     { name: "image", maxCount: 1 },
     { name: "images", maxCount: 10 },
@@ -581,6 +590,13 @@ router.put(
         return res.status(404).json({ message: "Event not found" });
       }
 
+      // Authors may only change their own events
+      if (!canModify(req, event)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own events" });
+      }
+
       const {
         title,
         tags,
@@ -711,79 +727,96 @@ router.put(
 
 // @desc    Delete an event
 // @route   DELETE /api/events/:id
-// @access  Private (Admin only)
-router.delete("/:id", protect, authorize("admin"), async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
+// @access  Private (event:delete)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("event:delete"),
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
 
-    if (!event) {
-      return res.status(404).json({ message: "Event not found" });
-    }
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" });
+      }
 
-    // Delete main image from Cloudinary if exists
-    if (event.image) {
-      try {
-        const publicId = event.image.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(`event-images/${publicId}`);
-      } catch (cloudinaryError) {
-        console.error("Cloudinary delete error:", cloudinaryError);
+      // Authors may only change their own events
+      if (!canModify(req, event)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own events" });
       }
-    }
 
-    // Delete additional images from Cloudinary if exist
-    if (event.images && event.images.length > 0) {
-      const deletePromises = event.images.map((imageUrl) => {
+      // Delete main image from Cloudinary if exists
+      if (event.image) {
         try {
-          const publicId = imageUrl.split("/").pop().split(".")[0];
-          return cloudinary.uploader.destroy(`event-images/${publicId}`);
+          const publicId = event.image.split("/").pop().split(".")[0];
+          await cloudinary.uploader.destroy(`event-images/${publicId}`);
         } catch (cloudinaryError) {
           console.error("Cloudinary delete error:", cloudinaryError);
-          return Promise.resolve(); // Don't fail if image deletion fails
         }
-      });
-      await Promise.all(deletePromises);
-    }
+      }
 
-    await Event.deleteOne({ _id: req.params.id });
+      // Delete additional images from Cloudinary if exist
+      if (event.images && event.images.length > 0) {
+        const deletePromises = event.images.map((imageUrl) => {
+          try {
+            const publicId = imageUrl.split("/").pop().split(".")[0];
+            return cloudinary.uploader.destroy(`event-images/${publicId}`);
+          } catch (cloudinaryError) {
+            console.error("Cloudinary delete error:", cloudinaryError);
+            return Promise.resolve(); // Don't fail if image deletion fails
+          }
+        });
+        await Promise.all(deletePromises);
+      }
 
-    res.json({ message: "Event deleted successfully" });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      await Event.deleteOne({ _id: req.params.id });
+
+      res.json({ message: "Event deleted successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // @desc    Get all events (admin view)
 // @route   GET /api/events/admin/all
-// @access  Private (Admin only)
-router.get("/admin/all", protect, authorize("admin"), async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
-    const skip = limit ? (page - 1) * limit : 0;
+// @access  Private (event:read)
+router.get(
+  "/admin/all",
+  protect,
+  requirePermission("event:read"),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      const skip = limit ? (page - 1) * limit : 0;
 
-    const events = await Event.find()
-      .populate("author", "name email")
-      .sort({ order: 1, displayDate: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select("-__v");
+      const events = await Event.find(ownershipFilter(req))
+        .populate("author", "name email")
+        .sort({ order: 1, displayDate: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-__v");
 
-    const total = await Event.countDocuments();
+      const total = await Event.countDocuments(ownershipFilter(req));
 
-    res.json({
-      events,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require("express");
 const multer = require("multer");
 const { body, validationResult } = require("express-validator");
 const Gallery = require("../models/Gallery");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 const cloudinary = require("../config/cloudinary");
 
 const router = express.Router();
@@ -95,11 +95,11 @@ router.get("/:id", async (req, res) => {
 
 // @desc    Upload image to Cloudinary
 // @route   POST /api/gallery/upload-image
-// @access  Private (Admin only)
+// @access  Private (gallery:create)
 router.post(
   "/upload-image",
   protect,
-  authorize("admin"),
+  requirePermission("gallery:create"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -136,11 +136,11 @@ router.post(
 
 // @desc    Create a new gallery item
 // @route   POST /api/gallery
-// @access  Private (Admin only)
+// @access  Private (gallery:create)
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("gallery:create"),
   upload.single("image"),
   async (req, res) => {
     // Manual validation for multipart/form-data
@@ -238,11 +238,11 @@ router.post(
 
 // @desc    Update a gallery item
 // @route   PATCH /api/gallery/:id
-// @access  Private (Admin only)
+// @access  Private (gallery:update)
 router.patch(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("gallery:update"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -323,7 +323,7 @@ router.patch(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("gallery:update"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -402,65 +402,75 @@ router.put(
 
 // @desc    Delete a gallery item
 // @route   DELETE /api/gallery/:id
-// @access  Private (Admin only)
-router.delete("/:id", protect, authorize("admin"), async (req, res) => {
-  try {
-    const galleryItem = await Gallery.findById(req.params.id);
+// @access  Private (gallery:delete)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("gallery:delete"),
+  async (req, res) => {
+    try {
+      const galleryItem = await Gallery.findById(req.params.id);
 
-    if (!galleryItem) {
-      return res.status(404).json({ message: "Gallery item not found" });
-    }
+      if (!galleryItem) {
+        return res.status(404).json({ message: "Gallery item not found" });
+      }
 
-    // Delete image from Cloudinary if exists
-    if (galleryItem.image) {
-      try {
-        const publicId = galleryItem.image.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(`gallery-images/${publicId}`);
-      } catch (cloudinaryError) {
-        console.error("Cloudinary delete error:", cloudinaryError);
-        // Don't fail the gallery deletion if image deletion fails
+      // Delete image from Cloudinary if exists
+      if (galleryItem.image) {
+        try {
+          const publicId = galleryItem.image.split("/").pop().split(".")[0];
+          await cloudinary.uploader.destroy(`gallery-images/${publicId}`);
+        } catch (cloudinaryError) {
+          console.error("Cloudinary delete error:", cloudinaryError);
+          // Don't fail the gallery deletion if image deletion fails
+        }
       }
-    }
 
-    await Gallery.deleteOne({ _id: req.params.id });
+      await Gallery.deleteOne({ _id: req.params.id });
 
-    res.json({ message: "Gallery item deleted successfully" });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({ message: "Gallery item deleted successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // @desc    Get all gallery items (admin view - includes unpublished)
 // @route   GET /api/gallery/admin/all
-// @access  Private (Admin only)
-router.get("/admin/all", protect, authorize("admin"), async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
-    const skip = limit ? (page - 1) * limit : 0;
+// @access  Private (gallery:read)
+router.get(
+  "/admin/all",
+  protect,
+  requirePermission("gallery:read"),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      const skip = limit ? (page - 1) * limit : 0;
 
-    const gallery = await Gallery.find()
-      .sort({ order: 1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select("-__v");
+      const gallery = await Gallery.find()
+        .sort({ order: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-__v");
 
-    const total = await Gallery.countDocuments();
+      const total = await Gallery.countDocuments();
 
-    res.json({
-      gallery,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        gallery,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require("express");
 const multer = require("multer");
 const { body, validationResult } = require("express-validator");
 const HeroSlider = require("../models/HeroSlider");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 const cloudinary = require("../config/cloudinary");
 
 const router = express.Router();
@@ -54,11 +54,11 @@ const uploadForm = multer().none();
 
 // @desc    Upload image to Cloudinary
 // @route   POST /api/hero-sliders/upload-image
-// @access  Private (Admin only)
+// @access  Private (heroSlider:create)
 router.post(
   "/upload-image",
   protect,
-  authorize("admin"),
+  requirePermission("heroSlider:create"),
   uploadImages.single("image"),
   async (req, res) => {
     try {
@@ -109,29 +109,34 @@ router.get("/", async (req, res) => {
   }
 });
 
-// @desc    Get all hero slider items (public display endpoint)
+// @desc    Get all hero slider items, including inactive ones
 // @route   GET /api/hero-sliders/all
-// @access  Public
-router.get("/all", async (req, res) => {
-  try {
-    const heroSliders = await HeroSlider.find()
-      .sort({ order: 1, createdAt: -1 })
-      .select("-__v");
+// @access  Private (heroSlider:read)
+router.get(
+  "/all",
+  protect,
+  requirePermission("heroSlider:read"),
+  async (req, res) => {
+    try {
+      const heroSliders = await HeroSlider.find()
+        .sort({ order: 1, createdAt: -1 })
+        .select("-__v");
 
-    res.json({
-      success: true,
-      count: heroSliders.length,
-      data: heroSliders,
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+      res.json({
+        success: true,
+        count: heroSliders.length,
+        data: heroSliders,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // @desc    Get single hero slider item by ID
 // @route   GET /api/hero-sliders/:id
@@ -158,11 +163,11 @@ router.get("/:id", async (req, res) => {
 
 // @desc    Create a new video hero slider item
 // @route   POST /api/hero-sliders/video
-// @access  Private (Admin only)
+// @access  Private (heroSlider:create)
 router.post(
   "/video",
   protect,
-  authorize("admin"),
+  requirePermission("heroSlider:create"),
   uploadVideos.single("videoFile"),
   async (req, res) => {
     try {
@@ -295,11 +300,11 @@ router.post(
 
 // @desc    Create a new image hero slider item
 // @route   POST /api/hero-sliders/image
-// @access  Private (Admin only)
+// @access  Private (heroSlider:create)
 router.post(
   "/image",
   protect,
-  authorize("admin"),
+  requirePermission("heroSlider:create"),
   uploadImages.fields([
     { name: "desktopImage", maxCount: 1 },
     { name: "mobileImage", maxCount: 1 },
@@ -468,11 +473,11 @@ router.post(
 
 // @desc    Create a new hero slider item (legacy - auto-detects type)
 // @route   POST /api/hero-sliders
-// @access  Private (Admin only)
+// @access  Private (heroSlider:create)
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("heroSlider:create"),
   upload.any(),
   async (req, res) => {
     try {
@@ -658,11 +663,11 @@ router.post(
 
 // @desc    Update a video hero slider item
 // @route   PATCH /api/hero-sliders/video/:id
-// @access  Private (Admin only)
+// @access  Private (heroSlider:update)
 router.patch(
   "/video/:id",
   protect,
-  authorize("admin"),
+  requirePermission("heroSlider:update"),
   uploadVideos.single("videoFile"),
   async (req, res) => {
     try {
@@ -730,11 +735,11 @@ router.patch(
 
 // @desc    Update an image hero slider item
 // @route   PATCH /api/hero-sliders/image/:id
-// @access  Private (Admin only)
+// @access  Private (heroSlider:update)
 router.patch(
   "/image/:id",
   protect,
-  authorize("admin"),
+  requirePermission("heroSlider:update"),
   uploadImages.fields([
     { name: "desktopImage", maxCount: 1 },
     { name: "mobileImage", maxCount: 1 },
@@ -829,11 +834,11 @@ router.patch(
 
 // @desc    Update a hero slider item (text fields only)
 // @route   PATCH /api/hero-sliders/:id
-// @access  Private (Admin only)
+// @access  Private (heroSlider:update)
 router.patch(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("heroSlider:update"),
   uploadForm,
   async (req, res) => {
     try {
@@ -879,98 +884,113 @@ router.patch(
 );
 
 // Support PUT method as well for backward compatibility
-router.put("/:id", protect, authorize("admin"), async (req, res) => {
-  try {
-    const heroSlider = await HeroSlider.findById(req.params.id);
+router.put(
+  "/:id",
+  protect,
+  requirePermission("heroSlider:update"),
+  async (req, res) => {
+    try {
+      const heroSlider = await HeroSlider.findById(req.params.id);
 
-    if (!heroSlider) {
-      return res.status(404).json({ message: "Hero slider item not found" });
-    }
+      if (!heroSlider) {
+        return res.status(404).json({ message: "Hero slider item not found" });
+      }
 
-    const {
-      type,
-      videoUrl,
-      desktopImage,
-      mobileImage,
-      title,
-      subtitle,
-      buttonText,
-      buttonLink,
-      status,
-      order,
-    } = req.body;
-
-    // Update fields if provided
-    if (type !== undefined) heroSlider.type = type;
-    if (videoUrl !== undefined) heroSlider.videoUrl = videoUrl;
-    if (desktopImage !== undefined) heroSlider.desktopImage = desktopImage;
-    if (mobileImage !== undefined) heroSlider.mobileImage = mobileImage;
-    if (title !== undefined) heroSlider.title = title;
-    if (subtitle !== undefined) heroSlider.subtitle = subtitle;
-    if (buttonText !== undefined) heroSlider.buttonText = buttonText;
-    if (buttonLink !== undefined) heroSlider.buttonLink = buttonLink;
-    if (status !== undefined) heroSlider.status = status;
-    if (order !== undefined) heroSlider.order = order;
-
-    await heroSlider.save();
+      const {
+        type,
+        videoUrl,
+        desktopImage,
+        mobileImage,
+        title,
+        subtitle,
+        buttonText,
+        buttonLink,
+        status,
+        order,
+      } = req.body;
 
-    res.json(heroSlider);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      // Update fields if provided
+      if (type !== undefined) heroSlider.type = type;
+      if (videoUrl !== undefined) heroSlider.videoUrl = videoUrl;
+      if (desktopImage !== undefined) heroSlider.desktopImage = desktopImage;
+      if (mobileImage !== undefined) heroSlider.mobileImage = mobileImage;
+      if (title !== undefined) heroSlider.title = title;
+      if (subtitle !== undefined) heroSlider.subtitle = subtitle;
+      if (buttonText !== undefined) heroSlider.buttonText = buttonText;
+      if (buttonLink !== undefined) heroSlider.buttonLink = buttonLink;
+      if (status !== undefined) heroSlider.status = status;
+      if (order !== undefined) heroSlider.order = order;
+
+      await heroSlider.save();
+
+      res.json(heroSlider);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // @desc    Delete a hero slider item
 // @route   DELETE /api/hero-sliders/:id
-// @access  Private (Admin only)
-router.delete("/:id", protect, authorize("admin"), async (req, res) => {
-  try {
-    const heroSlider = await HeroSlider.findById(req.params.id);
+// @access  Private (heroSlider:delete)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("heroSlider:delete"),
+  async (req, res) => {
+    try {
+      const heroSlider = await HeroSlider.findById(req.params.id);
 
-    if (!heroSlider) {
-      return res.status(404).json({ message: "Hero slider item not found" });
-    }
+      if (!heroSlider) {
+        return res.status(404).json({ message: "Hero slider item not found" });
+      }
 
-    await HeroSlider.deleteOne({ _id: req.params.id });
+      await HeroSlider.deleteOne({ _id: req.params.id });
 
-    res.json({ message: "Hero slider item deleted successfully" });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({ message: "Hero slider item deleted successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // @desc    Get all hero slider items (admin view - includes inactive)
 // @route   GET /api/hero-sliders/admin/all
-// @access  Private (Admin only)
-router.get("/admin/all", protect, authorize("admin"), async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
-    const skip = limit ? (page - 1) * limit : 0;
+// @access  Private (heroSlider:read)
+router.get(
+  "/admin/all",
+  protect,
+  requirePermission("heroSlider:read"),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      const skip = limit ? (page - 1) * limit : 0;
 
-    const heroSliders = await HeroSlider.find()
-      .sort({ order: 1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select("-__v");
+      const heroSliders = await HeroSlider.find()
+        .sort({ order: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-__v");
 
-    const total = await HeroSlider.countDocuments();
-
-    res.json({
-      heroSliders,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      const total = await HeroSlider.countDocuments();
+
+      res.json({
+        heroSliders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 module.exports = router;
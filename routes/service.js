@@ -2,7 +2,7 @@ const express = require("express");
 const multer = require("multer");
 const { body, validationResult } = require("express-validator");
 const Service = require("../models/Service");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 const cloudinary = require("../config/cloudinary");
 
 const router = express.Router();
@@ -40,11 +40,11 @@ const uploadMultiple = multer({
 
 // @desc    Upload hero image to Cloudinary
 // @route   POST /api/services/upload-hero-image
-// @access  Private (Admin only)
+// @access  Private (service:create)
 router.post(
   "/upload-hero-image",
   protect,
-  authorize("admin"),
+  requirePermission("service:create"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -81,11 +81,11 @@ router.post(
 
 // @desc    Upload multiple images to Cloudinary
 // @route   POST /api/services/upload-images
-// @access  Private (Admin only)
+// @access  Private (service:create)
 router.post(
   "/upload-images",
   protect,
-  authorize("admin"),
+  requirePermission("service:create"),
   uploadMultiple,
   async (req, res) => {
     try {
@@ -215,11 +215,11 @@ const uploadServiceCreate = multer({
 
 // @desc    Create a new service
 // @route   POST /api/services
-// @access  Private (Admin only)
+// @access  Private (service:create)
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("service:create"),
   uploadServiceCreate,
   async (req, res) => {
     // Manual validation for multipart/form-data
@@ -377,11 +377,11 @@ router.post(
 
 // @desc    Update a service
 // @route   PATCH /api/services/:id
-// @access  Private (Admin only)
+// @access  Private (service:update)
 router.patch(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("service:update"),
   upload.single("hero_image"),
   async (req, res) => {
     try {
@@ -478,7 +478,7 @@ router.patch(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("service:update"),
   upload.single("hero_image"),
   async (req, res) => {
     try {
@@ -573,85 +573,97 @@ router.put(
 
 // @desc    Delete a service
 // @route   DELETE /api/services/:id
-// @access  Private (Admin only)
-router.delete("/:id", protect, authorize("admin"), async (req, res) => {
-  try {
-    const service = await Service.findOne({
-      $or: [
-        { id: parseInt(req.params.id) },
-        {
-          _id: req.params.id.match(/^[0-9a-fA-F]{24}$/) ? req.params.id : null,
-        },
-      ].filter(Boolean),
-    });
-
-    if (!service) {
-      return res.status(404).json({ message: "Service not found" });
-    }
+// @access  Private (service:delete)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("service:delete"),
+  async (req, res) => {
+    try {
+      const service = await Service.findOne({
+        $or: [
+          { id: parseInt(req.params.id) },
+          {
+            _id: req.params.id.match(/^[0-9a-fA-F]{24}$/)
+              ? req.params.id
+              : null,
+          },
+        ].filter(Boolean),
+      });
 
-    // Delete hero image from Cloudinary if exists
-    if (service.hero_image) {
-      try {
-        const publicId = service.hero_image.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(`service-hero-images/${publicId}`);
-      } catch (cloudinaryError) {
-        console.error("Cloudinary delete error:", cloudinaryError);
-        // Don't fail the service deletion if image deletion fails
+      if (!service) {
+        return res.status(404).json({ message: "Service not found" });
       }
-    }
 
-    // Delete images from Cloudinary if exist
-    if (service.images && service.images.length > 0) {
-      const deletePromises = service.images.map(async (imageUrl) => {
+      // Delete hero image from Cloudinary if exists
+      if (service.hero_image) {
         try {
-          const publicId = imageUrl.split("/").pop().split(".")[0];
-          await cloudinary.uploader.destroy(`service-images/${publicId}`);
+          const publicId = service.hero_image.split("/").pop().split(".")[0];
+          await cloudinary.uploader.destroy(`service-hero-images/${publicId}`);
         } catch (cloudinaryError) {
           console.error("Cloudinary delete error:", cloudinaryError);
+          // Don't fail the service deletion if image deletion fails
         }
-      });
-      await Promise.all(deletePromises);
-    }
+      }
+
+      // Delete images from Cloudinary if exist
+      if (service.images && service.images.length > 0) {
+        const deletePromises = service.images.map(async (imageUrl) => {
+          try {
+            const publicId = imageUrl.split("/").pop().split(".")[0];
+            await cloudinary.uploader.destroy(`service-images/${publicId}`);
+          } catch (cloudinaryError) {
+            console.error("Cloudinary delete error:", cloudinaryError);
+          }
+        });
+        await Promise.all(deletePromises);
+      }
 
-    await Service.deleteOne({ _id: service._id });
+      await Service.deleteOne({ _id: service._id });
 
-    res.json({ message: "Service deleted successfully" });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({ message: "Service deleted successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // @desc    Get all services (admin view - includes inactive)
 // @route   GET /api/services/admin/all
-// @access  Private (Admin only)
-router.get("/admin/all", protect, authorize("admin"), async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
-    const skip = limit ? (page - 1) * limit : 0;
+// @access  Private (service:read)
+router.get(
+  "/admin/all",
+  protect,
+  requirePermission("service:read"),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      const skip = limit ? (page - 1) * limit : 0;
 
-    const services = await Service.find()
-      .sort({ order: 1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select("-__v");
+      const services = await Service.find()
+        .sort({ order: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-__v");
 
-    const total = await Service.countDocuments();
+      const total = await Service.countDocuments();
 
-    res.json({
-      services,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        services,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,239 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const User = require("../models/User");
+const { protect, authorize } = require("../middleware/auth");
+const { sendEmailInBackground } = require("../utils/mailer");
+const { recordSecurityEvent } = require("../utils/securityEvents");
+const { appName } = require("../config/mail");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require("../utils/totp");
+
+const router = express.Router();
+
+// Two-factor enrollment is available to admin accounts
+router.use(protect);
+router.use(authorize("admin"));
+
+const SECRET_FIELDS =
+  "+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// Issue a fresh set of recovery codes, returning them in plain text once
+const replaceRecoveryCodes = (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  return recoveryCodes;
+};
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private (Admin only)
+router.get("/", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.recoveryCodes"
+    );
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.length
+        : 0,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Admin only)
+router.post("/setup", async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: appName,
+      }),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @desc    Confirm enrollment with a first code
+// @route   POST /api/auth/2fa/confirm
+// @access  Private (Admin only)
+router.post(
+  "/confirm",
+  [body("code", "Authentication code is required").not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+      if (user.twoFactor.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is already enabled" });
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return res
+          .status(400)
+          .json({ message: "Start two-factor setup first" });
+      }
+
+      const secret = decryptSecret(user.twoFactor.pendingSecret);
+      const step = verifyCode(secret, req.body.code);
+
+      if (step === null) {
+        return res.status(400).json({
+          message: "Invalid authentication code",
+          code: "INVALID_2FA_CODE",
+        });
+      }
+
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      const recoveryCodes = replaceRecoveryCodes(user);
+      await user.save();
+      await recordSecurityEvent(req, user, "twoFactorEnabled");
+
+      sendEmailInBackground({
+        to: user.email,
+        template: "securityAlert",
+        data: { name: user.name, action: "twoFactorEnabled", ip: req.ip },
+      });
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        recoveryCodes,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private (Admin only)
+router.post(
+  "/recovery-codes",
+  [body("code", "Authentication code is required").not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+      if (!user.twoFactor.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      if (!user.consumeSecondFactor({ code: req.body.code })) {
+        return res.status(400).json({
+          message: "Invalid authentication code",
+          code: "INVALID_2FA_CODE",
+        });
+      }
+
+      const recoveryCodes = replaceRecoveryCodes(user);
+      await user.save();
+      await recordSecurityEvent(req, user, "recoveryCodesRegenerated");
+
+      res.json({ recoveryCodes });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private (Admin only)
+router.post(
+  "/disable",
+  [body("password", "Password is required").not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+      if (!user.twoFactor.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      if (
+        !(await user.matchPassword(req.body.password)) ||
+        !user.consumeSecondFactor(req.body)
+      ) {
+        return res.status(400).json({
+          message: "Invalid password or authentication code",
+          code: "INVALID_2FA_CODE",
+        });
+      }
+
+      user.resetTwoFactor();
+      await user.save();
+      await recordSecurityEvent(req, user, "twoFactorDisabled");
+
+      sendEmailInBackground({
+        to: user.email,
+        template: "securityAlert",
+        data: { name: user.name, action: "twoFactorDisabled", ip: req.ip },
+      });
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require("express");
 const multer = require("multer");
 const Work = require("../models/Work");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  requirePermission,
+  canModify,
+  ownershipFilter,
+} = require("../middleware/auth");
 const cloudinary = require("../config/cloudinary");
 
 const router = express.Router();
@@ -24,11 +29,11 @@ const upload = multer({
 
 // @desc    Upload image to Cloudinary
 // @route   POST /api/works/upload-image
-// @access  Private (Admin only)
+// @access  Private (work:create)
 router.post(
   "/upload-image",
   protect,
-  authorize("admin"),
+  requirePermission("work:create"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -65,12 +70,19 @@ router.post(
 
 // @desc    Randomize order of all works
 // @route   GET /api/works/randomize-order
-// @access  Private (Admin only)
+// @access  Private (work:update)
 router.get(
   "/randomize-order",
   protect,
-  authorize("admin"),
+  requirePermission("work:update"),
   async (req, res) => {
+    // Reordering touches every work, not just the user's own
+    if (req.permissionScope !== "all") {
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to reorder works" });
+    }
+
     try {
       // Get all works
       const works = await Work.find();
@@ -123,7 +135,7 @@ router.get("/", async (req, res) => {
     }
 
     const works = await Work.find(query)
-      .populate("author", "name email")
+      .populate("author", "name")
       .sort({ order: 1, createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -151,10 +163,7 @@ router.get("/", async (req, res) => {
 // @access  Public
 router.get("/:id", async (req, res) => {
   try {
-    const work = await Work.findById(req.params.id).populate(
-      "author",
-      "name email"
-    );
+    const work = await Work.findById(req.params.id).populate("author", "name");
 
     if (!work) {
       return res.status(404).json({ message: "Work not found" });
@@ -178,11 +187,11 @@ router.get("/:id", async (req, res) => {
 
 // @desc    Create a new work
 // @route   POST /api/works
-// @access  Private (Admin only)
+// @access  Private (work:create)
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("work:create"),
   upload.single("image"),
   async (req, res) => {
     // Manual validation for multipart/form-data
@@ -258,11 +267,11 @@ router.post(
 
 // @desc    Update a work
 // @route   PATCH /api/works/:id
-// @access  Private (Admin only)
+// @access  Private (work:update)
 router.patch(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("work:update"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -272,6 +281,13 @@ router.patch(
         return res.status(404).json({ message: "Work not found" });
       }
 
+      // Authors may only change their own works
+      if (!canModify(req, work)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own works" });
+      }
+
       const { title, category, image, status, order } = req.body;
 
       // Handle image update - if new image file is uploaded, upload to Cloudinary
@@ -334,7 +350,7 @@ router.patch(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("work:update"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -344,6 +360,13 @@ router.put(
         return res.status(404).json({ message: "Work not found" });
       }
 
+      // Authors may only change their own works
+      if (!canModify(req, work)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own works" });
+      }
+
       const { title, category, image, status, order } = req.body;
 
       // Handle image update - if new image file is uploaded, upload to Cloudinary
@@ -403,66 +426,83 @@ router.put(
 
 // @desc    Delete a work
 // @route   DELETE /api/works/:id
-// @access  Private (Admin only)
-router.delete("/:id", protect, authorize("admin"), async (req, res) => {
-  try {
-    const work = await Work.findById(req.params.id);
+// @access  Private (work:delete)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("work:delete"),
+  async (req, res) => {
+    try {
+      const work = await Work.findById(req.params.id);
 
-    if (!work) {
-      return res.status(404).json({ message: "Work not found" });
-    }
+      if (!work) {
+        return res.status(404).json({ message: "Work not found" });
+      }
 
-    // Delete image from Cloudinary if exists
-    if (work.image) {
-      try {
-        const publicId = work.image.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(`work-images/${publicId}`);
-      } catch (cloudinaryError) {
-        console.error("Cloudinary delete error:", cloudinaryError);
-        // Don't fail the work deletion if image deletion fails
+      // Authors may only change their own works
+      if (!canModify(req, work)) {
+        return res
+          .status(403)
+          .json({ message: "You can only modify your own works" });
       }
-    }
 
-    await Work.deleteOne({ _id: req.params.id });
+      // Delete image from Cloudinary if exists
+      if (work.image) {
+        try {
+          const publicId = work.image.split("/").pop().split(".")[0];
+          await cloudinary.uploader.destroy(`work-images/${publicId}`);
+        } catch (cloudinaryError) {
+          console.error("Cloudinary delete error:", cloudinaryError);
+          // Don't fail the work deletion if image deletion fails
+        }
+      }
 
-    res.json({ message: "Work deleted successfully" });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      await Work.deleteOne({ _id: req.params.id });
+
+      res.json({ message: "Work deleted successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 // @desc    Get all works (admin view - includes inactive)
 // @route   GET /api/works/admin/all
-// @access  Private (Admin only)
-router.get("/admin/all", protect, authorize("admin"), async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
-    const skip = limit ? (page - 1) * limit : 0;
+// @access  Private (work:read)
+router.get(
+  "/admin/all",
+  protect,
+  requirePermission("work:read"),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      const skip = limit ? (page - 1) * limit : 0;
 
-    const works = await Work.find()
-      .populate("author", "name email")
-      .sort({ order: 1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select("-__v");
+      const works = await Work.find(ownershipFilter(req))
+        .populate("author", "name email")
+        .sort({ order: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-__v");
 
-    const total = await Work.countDocuments();
+      const total = await Work.countDocuments(ownershipFilter(req));
 
-    res.json({
-      works,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+      res.json({
+        works,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,103 @@
+// Create the first admin account from the command line.
+//
+//   npm run create-admin -- --name "Jane Doe" --email jane@example.com
+//
+// The password is read from ADMIN_PASSWORD or prompted for. Refuses to run
+// once setup is complete; further admins are invited from the admin panel.
+const readline = require("readline");
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/database");
+const User = require("../models/User");
+const {
+  isSetupComplete,
+  markSetupComplete,
+  reopenSetup,
+} = require("../utils/setup");
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+// Prompt without echoing what is typed
+const promptHidden = (question) => {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+};
+
+const run = async () => {
+  const { name, email } = parseArgs(process.argv.slice(2));
+
+  if (!name || !email) {
+    throw new Error(
+      'Usage: npm run create-admin -- --name "Jane Doe" --email jane@example.com'
+    );
+  }
+
+  await connectDB();
+
+  if (await isSetupComplete()) {
+    throw new Error(
+      "Setup is already complete. Further admins are invited from the admin panel."
+    );
+  }
+
+  const password =
+    process.env.ADMIN_PASSWORD || (await promptHidden("Password: "));
+
+  if (!password || password.length < 6) {
+    throw new Error("Password must be at least 6 characters");
+  }
+
+  if (!(await markSetupComplete())) {
+    throw new Error("Setup has already been completed");
+  }
+
+  try {
+    const user = await User.create({
+      name,
+      email,
+      password,
+      role: "admin",
+      // The operator running this command vouches for the address
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+
+    console.log(`Admin account created for ${user.email}. Setup is complete.`);
+  } catch (error) {
+    await reopenSetup();
+    throw error;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,27 @@
+// Run the periodic housekeeping jobs once, for cron or a platform scheduler.
+//
+//   npm run maintenance
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const connectDB = require("../config/database");
+const { runMaintenance } = require("../utils/maintenance");
+
+const run = async () => {
+  await connectDB();
+
+  const results = await runMaintenance();
+
+  for (const [job, count] of Object.entries(results)) {
+    console.log(`${job}: ${count}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
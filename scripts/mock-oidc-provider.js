@@ -0,0 +1,163 @@
+// A minimal OpenID Connect provider for trying out OIDC sign-in locally.
+//
+//   npm run mock-oidc
+//
+// and point the API at it:
+//
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:4010
+//   OIDC_MOCK_CLIENT_ID=local-client
+//
+// There is no login screen: /authorize signs in as the address given in
+// `login_hint`, or MOCK_OIDC_EMAIL, and redirects straight back. Set
+// MOCK_OIDC_EMAIL_VERIFIED=false to simulate an unverified address.
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const defaultEmail = process.env.MOCK_OIDC_EMAIL || "user@example.com";
+const emailVerified = process.env.MOCK_OIDC_EMAIL_VERIFIED !== "false";
+
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const kid = crypto.randomBytes(8).toString("hex");
+
+// Authorization codes waiting to be redeemed
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig" }],
+  });
+});
+
+app.get("/authorize", (req, res) => {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    login_hint: loginHint,
+  } = req.query;
+
+  if (!clientId || !redirectUri || !codeChallenge) {
+    return res.status(400).send("client_id, redirect_uri and PKCE required");
+  }
+
+  if (codeChallengeMethod !== "S256") {
+    return res.status(400).send("Only S256 code challenges are supported");
+  }
+
+  const email = String(loginHint || defaultEmail).toLowerCase();
+  const code = crypto.randomBytes(16).toString("hex");
+
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge,
+    email,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set("code", code);
+  if (state) location.searchParams.set("state", state);
+
+  console.log(`Signed in ${email}, redirecting to ${redirectUri}`);
+  res.redirect(location.toString());
+});
+
+app.post("/token", (req, res) => {
+  const {
+    grant_type: grantType,
+    code,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  } = req.body;
+
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (
+    grantType !== "authorization_code" ||
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.clientId !== clientId ||
+    grant.redirectUri !== redirectUri
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(codeVerifier))
+    .digest("base64url");
+
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({
+      error: "invalid_grant",
+      error_description: "PKCE verification failed",
+    });
+  }
+
+  const subject = crypto
+    .createHash("sha256")
+    .update(grant.email)
+    .digest("hex")
+    .slice(0, 24);
+
+  const idToken = jwt.sign(
+    {
+      email: grant.email,
+      email_verified: emailVerified,
+      name: grant.email.split("@")[0],
+      nonce: grant.nonce,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      subject,
+      expiresIn: "5m",
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString("hex"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider listening at ${issuer}`);
+});
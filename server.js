@@ -6,7 +6,6 @@ const compression = require("compression");
 const sanitize = require("mongo-sanitize");
 const hpp = require("hpp");
 const cookieParser = require("cookie-parser");
-const csrf = require("csurf");
 const dotenv = require("dotenv");
 const mongoose = require("mongoose");
 const connectDB = require("./config/database");
@@ -14,6 +13,11 @@ const connectDB = require("./config/database");
 // Load environment variables
 dotenv.config();
 
+// Project modules read configuration from the environment when loaded
+const { csrfProtection } = require("./middleware/csrf");
+const { ensureSetupToken } = require("./utils/setup");
+const { scheduleMaintenance } = require("./utils/maintenance");
+
 const app = express();
 
 // Security middleware
@@ -83,8 +87,8 @@ app.use(async (req, res, next) => {
 // Cookie parsing middleware
 app.use(cookieParser());
 
-// CSRF protection disabled for API routes
-// Note: CORS with proper origin validation provides CSRF protection for APIs
+// Double-submit CSRF check for clients authenticated by cookie
+app.use(csrfProtection);
 
 // Prevent HTTP Parameter Pollution
 app.use(hpp());
@@ -104,13 +108,14 @@ app.use((req, res, next) => {
 
 // Routes
 app.use("/api/auth", require("./routes/auth"));
+app.use("/api/auth/2fa", require("./routes/twoFactor"));
 app.use("/api/admin", require("./routes/admin"));
-// app.use("/api/blogs", require("./routes/blog"));
-// app.use("/api/events", require("./routes/event"));
+app.use("/api/blogs", require("./routes/blog"));
+app.use("/api/events", require("./routes/event"));
 app.use("/api/gallery", require("./routes/gallery"));
-// app.use("/api/hero-sliders", require("./routes/heroSlider"));
-// app.use("/api/works", require("./routes/work"));
-// app.use("/api/services", require("./routes/service"));
+app.use("/api/hero-sliders", require("./routes/heroSlider"));
+app.use("/api/works", require("./routes/work"));
+app.use("/api/services", require("./routes/service"));
 
 app.get("/", (req, res) => {
   res.json({ message: "Welcome to Maheesh Portfolio Backend API" });
@@ -127,7 +132,11 @@ app.use((err, req, res, next) => {
 if (require.main === module) {
   // Local development
   const PORT = process.env.PORT || 5000;
-  connectDB().then(() => {
+  connectDB().then(async () => {
+    // Print a setup token if no admin has been created yet
+    await ensureSetupToken();
+    scheduleMaintenance();
+
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const PasswordReset = require("../models/PasswordReset");
+const MagicLink = require("../models/MagicLink");
+const ApiKey = require("../models/ApiKey");
+const SecurityEvent = require("../models/SecurityEvent");
+const cloudinary = require("../config/cloudinary");
+const { unlockAccount } = require("../middleware/throttle");
+const { releaseAuthoredContent } = require("./contentOwnership");
+const { deletedUserRetentionDays } = require("../config/auth");
+
+// Hand on the user's content and remove everything else tied to them apart
+// from the user document itself. Returns the content counts that moved.
+const removeUserData = async (user) => {
+  const { updated } = await releaseAuthoredContent(user._id);
+
+  if (user.avatarPublicId) {
+    try {
+      await cloudinary.uploader.destroy(user.avatarPublicId);
+    } catch (cloudinaryError) {
+      console.error("Cloudinary delete error:", cloudinaryError);
+    }
+  }
+
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    PasswordReset.deleteMany({ user: user._id }),
+    MagicLink.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ createdBy: user._id }),
+    SecurityEvent.deleteMany({ user: user._id }),
+    unlockAccount(user.email),
+  ]);
+
+  return updated;
+};
+
+// Strip a user's personal data while keeping the document, so references
+// to it elsewhere stay valid
+const anonymizeUser = async (user) => {
+  const updated = await removeUserData(user);
+
+  user.set({
+    name: "Deleted user",
+    email: `deleted-${user._id}@anonymized.invalid`,
+    password: crypto.randomBytes(32).toString("hex"),
+    role: "user",
+    avatar: "",
+    avatarPublicId: "",
+    isActive: false,
+    emailVerified: false,
+    emailVerifiedAt: null,
+    pendingEmail: null,
+    identities: [],
+    lastBlockedLoginAt: null,
+    blockedLoginAttempts: 0,
+    deletionScheduledFor: null,
+    anonymizedAt: new Date(),
+  });
+  user.resetTwoFactor();
+  user.tokenVersion += 1;
+
+  // The placeholder address is deliberately not a deliverable one
+  await user.save({ validateBeforeSave: false });
+
+  return updated;
+};
+
+// Anonymize every account whose deletion grace period has run out.
+// Returns the number of accounts processed.
+const processScheduledDeletions = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    anonymizedAt: null,
+  });
+
+  for (const user of users) {
+    try {
+      await anonymizeUser(user);
+    } catch (error) {
+      console.error(`Failed to anonymize user ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+// Permanently remove users that were soft-deleted longer ago than the
+// retention period. Returns the number of accounts purged.
+const purgeDeletedUsers = async () => {
+  const cutoff = new Date(
+    Date.now() - deletedUserRetentionDays * 24 * 60 * 60 * 1000
+  );
+  const users = await User.find({ deletedAt: { $lte: cutoff } });
+
+  for (const user of users) {
+    try {
+      await removeUserData(user);
+      await User.deleteOne({ _id: user._id });
+    } catch (error) {
+      console.error(`Failed to purge user ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+module.exports = {
+  anonymizeUser,
+  processScheduledDeletions,
+  purgeDeletedUsers,
+};
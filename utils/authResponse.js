@@ -0,0 +1,73 @@
+const { issueAuthTokens, REFRESH_TOKEN_EXPIRE_DAYS } = require("./tokens");
+const { issueCsrfToken, CSRF_COOKIE } = require("../middleware/csrf");
+const { cookies: cookieConfig } = require("../config/auth");
+
+const ACCESS_COOKIE = "access_token";
+const REFRESH_COOKIE = "refresh_token";
+
+const cookieOptions = (path) => ({
+  httpOnly: true,
+  secure: cookieConfig.secure,
+  sameSite: cookieConfig.sameSite,
+  domain: cookieConfig.domain,
+  path,
+  maxAge: REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000,
+});
+
+// Clients opt into cookie mode with "X-Auth-Mode: cookie"; a refresh that
+// arrives with the refresh cookie stays in cookie mode
+const wantsCookieAuth = (req) =>
+  req.get("X-Auth-Mode") === "cookie" || Boolean(req.cookies?.[REFRESH_COOKIE]);
+
+// Deliver tokens as HttpOnly cookies. The refresh cookie is only sent to
+// the auth routes.
+const setAuthCookies = (res, { token, refreshToken }) => {
+  res.cookie(ACCESS_COOKIE, token, cookieOptions("/"));
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions("/api/auth"));
+};
+
+const clearAuthCookies = (res) => {
+  const { maxAge, ...options } = cookieOptions("/");
+  res.clearCookie(ACCESS_COOKIE, options);
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: "/api/auth" });
+  res.clearCookie(CSRF_COOKIE, { ...options, httpOnly: false });
+};
+
+// Send a token pair, in the body or as cookies depending on the auth mode
+const sendTokens = (req, res, tokens, body = {}, status = 200) => {
+  if (wantsCookieAuth(req)) {
+    setAuthCookies(res, tokens);
+    return res
+      .status(status)
+      .json({ ...body, authMode: "cookie", csrfToken: issueCsrfToken(res) });
+  }
+
+  res.status(status).json({ ...body, ...tokens });
+};
+
+// Start a session for a successful sign-in and send its tokens
+const sendAuthResponse = async (user, req, res, status = 200, extra = {}) => {
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  sendTokens(
+    req,
+    res,
+    { token, refreshToken },
+    {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      ...extra,
+    },
+    status
+  );
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  sendTokens,
+  sendAuthResponse,
+  clearAuthCookies,
+};
@@ -0,0 +1,55 @@
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const Work = require("../models/Work");
+const User = require("../models/User");
+const { contentSuccessorEmail } = require("../config/auth");
+
+// Content models whose documents record an author
+const AUTHORED_MODELS = { blogs: Blog, events: Event, works: Work };
+
+// References to everything a user has authored, grouped by model
+const listAuthoredContent = async (userId) => {
+  const content = {};
+
+  for (const [name, Model] of Object.entries(AUTHORED_MODELS)) {
+    content[name] = await Model.find({ author: userId })
+      .select("title slug status createdAt updatedAt")
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  return content;
+};
+
+// The active account configured to inherit content from deleted users
+const findContentSuccessor = async (excludeUserId) => {
+  if (!contentSuccessorEmail) {
+    return null;
+  }
+
+  return User.findOne({
+    email: contentSuccessorEmail.toLowerCase(),
+    isActive: true,
+    _id: { $ne: excludeUserId },
+  });
+};
+
+// Move a user's content to the configured successor, or leave it without an
+// author when there is none. Returns the successor (or null) and how many
+// documents of each model were updated.
+const releaseAuthoredContent = async (userId) => {
+  const successor = await findContentSuccessor(userId);
+  const updated = {};
+
+  for (const [name, Model] of Object.entries(AUTHORED_MODELS)) {
+    const result = await Model.updateMany(
+      { author: userId },
+      { author: successor ? successor._id : null }
+    );
+    updated[name] = result.modifiedCount;
+  }
+
+  return { successor, updated };
+};
+
+module.exports = { listAuthoredContent, releaseAuthoredContent };
@@ -0,0 +1,21 @@
+// Quote a value for CSV. Values that a spreadsheet would run as a formula
+// are prefixed with a quote so exported data can't execute on open.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build one CSV line from the given columns of a row
+const toCsvRow = (row, columns) =>
+  columns.map((column) => escapeCsvValue(row[column])).join(",") + "\r\n";
+
+module.exports = { escapeCsvValue, toCsvRow };
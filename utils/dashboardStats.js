@@ -0,0 +1,198 @@
+const User = require("../models/User");
+const Gallery = require("../models/Gallery");
+const Blog = require("../models/Blog");
+const Event = require("../models/Event");
+const Service = require("../models/Service");
+const Work = require("../models/Work");
+const HeroSlider = require("../models/HeroSlider");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONTENT_MODELS = {
+  gallery: Gallery,
+  blog: Blog,
+  event: Event,
+  service: Service,
+  work: Work,
+  heroSlider: HeroSlider,
+};
+
+// Content models that count views
+const VIEWED_MODELS = { blog: Blog, event: Event, work: Work };
+
+// Documents per status, e.g. { total: 7, byStatus: { active: 5, inactive: 2 } }
+const countByStatus = async (Model) => {
+  const groups = await Model.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const byStatus = {};
+  for (const { _id, count } of groups) {
+    byStatus[_id || "none"] = count;
+  }
+
+  return {
+    total: groups.reduce((sum, { count }) => sum + count, 0),
+    byStatus,
+  };
+};
+
+// Published vs draft blog posts, which `status` alone doesn't tell apart
+const blogPublication = async () => {
+  const groups = await Blog.aggregate([
+    { $group: { _id: "$isPublished", count: { $sum: 1 } } },
+  ]);
+
+  const count = (isPublished) =>
+    groups
+      .filter(({ _id }) => Boolean(_id) === isPublished)
+      .reduce((sum, group) => sum + group.count, 0);
+
+  return { published: count(true), draft: count(false) };
+};
+
+// Total views and the `top` most viewed documents
+const viewStats = async (Model, top) => {
+  const [result] = await Model.aggregate([
+    {
+      $facet: {
+        total: [{ $group: { _id: null, views: { $sum: "$views" } } }],
+        top: [
+          { $sort: { views: -1, _id: 1 } },
+          { $limit: top },
+          { $project: { title: 1, slug: 1, views: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    total: result.total.length > 0 ? result.total[0].views : 0,
+    top: result.top,
+  };
+};
+
+// Upcoming vs completed events. "overdue" are still marked upcoming although
+// their date has passed.
+const eventTimeline = async () => {
+  const now = new Date();
+  const [result] = await Event.aggregate([
+    {
+      $group: {
+        _id: null,
+        upcoming: {
+          $sum: { $cond: [{ $eq: ["$status", "upcoming"] }, 1, 0] },
+        },
+        completed: {
+          $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+        },
+        overdue: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", "upcoming"] },
+                  { $lt: ["$displayDate", now] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const { upcoming = 0, completed = 0, overdue = 0 } = result || {};
+  return { upcoming, completed, overdue };
+};
+
+// Documents created per UTC day in [from, to], as { "YYYY-MM-DD": count }
+const countPerDay = async (Model, from, to, match = {}) => {
+  const groups = await Model.aggregate([
+    { $match: { ...match, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(groups.map(({ _id, count }) => [_id, count]));
+};
+
+// Every UTC day from `from` to `to`, including days with nothing in them
+const daysBetween = (from, to) => {
+  const days = [];
+  const start = Date.UTC(
+    from.getUTCFullYear(),
+    from.getUTCMonth(),
+    from.getUTCDate()
+  );
+
+  for (let day = start; day <= to.getTime(); day += DAY_MS) {
+    days.push(new Date(day).toISOString().slice(0, 10));
+  }
+
+  return days;
+};
+
+// New content per day, and new registrations when `includeUsers` is set
+const dailyActivity = async (from, to, includeUsers) => {
+  const names = Object.keys(CONTENT_MODELS);
+
+  const [registrations, ...contentCounts] = await Promise.all([
+    // Aggregations skip the soft-delete filter, so match the user list here
+    includeUsers ? countPerDay(User, from, to, { deletedAt: null }) : null,
+    ...names.map((name) => countPerDay(CONTENT_MODELS[name], from, to)),
+  ]);
+
+  return daysBetween(from, to).map((date) => {
+    const content = {};
+    names.forEach((name, i) => {
+      content[name] = contentCounts[i][date] || 0;
+    });
+
+    return {
+      date,
+      ...(registrations && { registrations: registrations[date] || 0 }),
+      content,
+      newContent: Object.values(content).reduce((sum, n) => sum + n, 0),
+    };
+  });
+};
+
+// Everything the admin dashboard shows, for activity between `from` and
+// `to` and the `top` most viewed items per model. Registration counts are
+// left out unless `includeUsers` is set.
+const getDashboardStats = async ({ from, to, top, includeUsers = false }) => {
+  const contentNames = Object.keys(CONTENT_MODELS);
+  const viewedNames = Object.keys(VIEWED_MODELS);
+
+  const [statusCounts, publication, views, events, daily] = await Promise.all([
+    Promise.all(
+      contentNames.map((name) => countByStatus(CONTENT_MODELS[name]))
+    ),
+    blogPublication(),
+    Promise.all(viewedNames.map((name) => viewStats(VIEWED_MODELS[name], top))),
+    eventTimeline(),
+    dailyActivity(from, to, includeUsers),
+  ]);
+
+  const content = Object.fromEntries(
+    contentNames.map((name, i) => [name, statusCounts[i]])
+  );
+  content.blog.byPublication = publication;
+
+  return {
+    content,
+    views: Object.fromEntries(viewedNames.map((name, i) => [name, views[i]])),
+    events,
+    range: { from, to },
+    daily,
+  };
+};
+
+module.exports = { getDashboardStats, DAY_MS };
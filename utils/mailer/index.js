@@ -0,0 +1,67 @@
+const mailConfig = require("../../config/mail");
+const templates = require("./templates");
+const createSmtpTransport = require("./transports/smtp");
+const createFileTransport = require("./transports/file");
+const createLogTransport = require("./transports/log");
+
+let activeTransport = null;
+
+const createTransport = (name) => {
+  switch (name) {
+    case "smtp":
+      return createSmtpTransport(mailConfig.smtp);
+    case "file":
+      return createFileTransport(mailConfig.outboxDir);
+    case "log":
+      return createLogTransport();
+    default:
+      throw new Error(`Unknown mail transport "${name}"`);
+  }
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = createTransport(mailConfig.transport);
+  }
+  return activeTransport;
+};
+
+// Swap the transport at runtime, e.g. to capture messages in tests.
+// Pass null to fall back to the configured transport.
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Render a template and deliver it through the active transport
+const sendEmail = async ({ to, template, data }) => {
+  const renderTemplate = templates[template];
+
+  if (!renderTemplate) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  const { subject, text, html } = renderTemplate(data);
+
+  return getTransport().send({
+    from: mailConfig.from,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+// Send an email whose failure should not fail the request
+const sendEmailInBackground = (message) => {
+  sendEmail(message).catch((error) => {
+    console.error(`Failed to send ${message.template} email:`, error);
+  });
+};
+
+// Build an absolute link into the frontend
+const clientLink = (path, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${mailConfig.clientUrl}${path}${query ? `?${query}` : ""}`;
+};
+
+module.exports = { sendEmail, sendEmailInBackground, setTransport, clientLink };
@@ -0,0 +1,248 @@
+const { appName } = require("../../config/mail");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Render the English and Tamil copy of a message into a single email.
+// `link` is shown after the paragraphs of each language.
+const render = ({ en, ta, link }) => {
+  const textBlock = (copy) =>
+    [...copy.paragraphs, link ? `${copy.linkLabel}: ${link}` : null]
+      .filter(Boolean)
+      .join("\n\n");
+
+  const htmlBlock = (copy, lang) =>
+    `<div lang="${lang}">` +
+    copy.paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("") +
+    (link
+      ? `<p><a href="${escapeHtml(link)}">${escapeHtml(copy.linkLabel)}</a></p>`
+      : "") +
+    "</div>";
+
+  return {
+    subject: `${en.subject} / ${ta.subject}`,
+    text: `${textBlock(en)}\n\n---\n\n${textBlock(ta)}\n\n${appName}`,
+    html:
+      htmlBlock(en, "en") +
+      "<hr>" +
+      htmlBlock(ta, "ta") +
+      `<p>${escapeHtml(appName)}</p>`,
+  };
+};
+
+// Account events that trigger a security alert, in both languages
+const securityActions = {
+  passwordReset: {
+    en: "your password was reset",
+    ta: "உங்கள் கடவுச்சொல் மீட்டமைக்கப்பட்டது",
+  },
+  passwordChanged: {
+    en: "your password was changed",
+    ta: "உங்கள் கடவுச்சொல் மாற்றப்பட்டது",
+  },
+  emailChanged: {
+    en: "the email address on your account was changed",
+    ta: "உங்கள் கணக்கின் மின்னஞ்சல் முகவரி மாற்றப்பட்டது",
+  },
+  twoFactorEnabled: {
+    en: "two-factor authentication was turned on",
+    ta: "இரு-காரணி அங்கீகாரம் இயக்கப்பட்டது",
+  },
+  twoFactorDisabled: {
+    en: "two-factor authentication was turned off",
+    ta: "இரு-காரணி அங்கீகாரம் முடக்கப்பட்டது",
+  },
+  twoFactorReset: {
+    en: "an administrator reset your two-factor authentication",
+    ta: "ஒரு நிர்வாகி உங்கள் இரு-காரணி அங்கீகாரத்தை மீட்டமைத்தார்",
+  },
+};
+
+const templates = {
+  passwordReset: ({ name, url, expiresInMinutes }) =>
+    render({
+      link: url,
+      en: {
+        subject: "Reset your password",
+        linkLabel: "Reset password",
+        paragraphs: [
+          `Hi ${name},`,
+          `We received a request to reset the password for your ${appName} account. The link below is valid for ${expiresInMinutes} minutes.`,
+          "If you did not request this, you can ignore this email.",
+        ],
+      },
+      ta: {
+        subject: "உங்கள் கடவுச்சொல்லை மீட்டமைக்கவும்",
+        linkLabel: "கடவுச்சொல்லை மீட்டமை",
+        paragraphs: [
+          `வணக்கம் ${name},`,
+          `உங்கள் ${appName} கணக்கின் கடவுச்சொல்லை மீட்டமைக்க ஒரு கோரிக்கை பெறப்பட்டது. கீழே உள்ள இணைப்பு ${expiresInMinutes} நிமிடங்களுக்கு மட்டுமே செல்லுபடியாகும்.`,
+          "இந்தக் கோரிக்கையை நீங்கள் செய்யவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கலாம்.",
+        ],
+      },
+    }),
+
+  magicLink: ({ name, url, expiresInMinutes }) =>
+    render({
+      link: url,
+      en: {
+        subject: `Sign in to ${appName}`,
+        linkLabel: "Sign in",
+        paragraphs: [
+          `Hi ${name},`,
+          `Use the link below to sign in to your ${appName} account. It can be used once and is valid for ${expiresInMinutes} minutes.`,
+          "If you did not request this, you can ignore this email.",
+        ],
+      },
+      ta: {
+        subject: `${appName} இல் உள்நுழைக`,
+        linkLabel: "உள்நுழைக",
+        paragraphs: [
+          `வணக்கம் ${name},`,
+          `உங்கள் ${appName} கணக்கில் உள்நுழைய கீழே உள்ள இணைப்பைப் பயன்படுத்தவும். இதை ஒரு முறை மட்டுமே பயன்படுத்த முடியும், ${expiresInMinutes} நிமிடங்களுக்குச் செல்லுபடியாகும்.`,
+          "இந்தக் கோரிக்கையை நீங்கள் செய்யவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கலாம்.",
+        ],
+      },
+    }),
+
+  verifyEmail: ({ name, url }) =>
+    render({
+      link: url,
+      en: {
+        subject: "Confirm your email address",
+        linkLabel: "Confirm email",
+        paragraphs: [
+          `Hi ${name},`,
+          `Please confirm the email address for your ${appName} account using the link below.`,
+          "If you did not create an account, you can ignore this email.",
+        ],
+      },
+      ta: {
+        subject: "உங்கள் மின்னஞ்சல் முகவரியை உறுதிப்படுத்தவும்",
+        linkLabel: "மின்னஞ்சலை உறுதிப்படுத்து",
+        paragraphs: [
+          `வணக்கம் ${name},`,
+          `கீழே உள்ள இணைப்பைப் பயன்படுத்தி உங்கள் ${appName} கணக்கின் மின்னஞ்சல் முகவரியை உறுதிப்படுத்தவும்.`,
+          "நீங்கள் கணக்கை உருவாக்கவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கலாம்.",
+        ],
+      },
+    }),
+
+  welcome: ({ name, url }) =>
+    render({
+      link: url,
+      en: {
+        subject: `Welcome to ${appName}`,
+        linkLabel: "Sign in",
+        paragraphs: [`Hi ${name},`, "Your account has been created."],
+      },
+      ta: {
+        subject: `${appName} உங்களை வரவேற்கிறது`,
+        linkLabel: "உள்நுழைக",
+        paragraphs: [`வணக்கம் ${name},`, "உங்கள் கணக்கு உருவாக்கப்பட்டது."],
+      },
+    }),
+
+  accountActivation: ({ name, url, expiresInDays }) =>
+    render({
+      link: url,
+      en: {
+        subject: `Activate your ${appName} account`,
+        linkLabel: "Set your password",
+        paragraphs: [
+          `Hi ${name},`,
+          `An administrator has created a ${appName} account for you. Use the link below to choose a password. The link is valid for ${expiresInDays} days.`,
+        ],
+      },
+      ta: {
+        subject: `உங்கள் ${appName} கணக்கைச் செயல்படுத்தவும்`,
+        linkLabel: "கடவுச்சொல்லை அமை",
+        paragraphs: [
+          `வணக்கம் ${name},`,
+          `ஒரு நிர்வாகி உங்களுக்காக ${appName} கணக்கை உருவாக்கியுள்ளார். கீழே உள்ள இணைப்பைப் பயன்படுத்தி கடவுச்சொல்லைத் தேர்ந்தெடுக்கவும். இந்த இணைப்பு ${expiresInDays} நாட்களுக்குச் செல்லுபடியாகும்.`,
+        ],
+      },
+    }),
+
+  invitation: ({ inviterName, role, url, expiresInDays }) =>
+    render({
+      link: url,
+      en: {
+        subject: `You're invited to ${appName}`,
+        linkLabel: "Accept invitation",
+        paragraphs: [
+          "Hello,",
+          `${inviterName} has invited you to join ${appName} as ${role}. Use the link below to choose your name and password. The link is valid for ${expiresInDays} days.`,
+          "If you weren't expecting this, you can ignore this email.",
+        ],
+      },
+      ta: {
+        subject: `${appName} இல் சேர உங்களுக்கு அழைப்பு`,
+        linkLabel: "அழைப்பை ஏற்றுக்கொள்",
+        paragraphs: [
+          "வணக்கம்,",
+          `${inviterName} உங்களை ${appName} இல் ${role} ஆகச் சேர அழைத்துள்ளார். கீழே உள்ள இணைப்பைப் பயன்படுத்தி உங்கள் பெயரையும் கடவுச்சொல்லையும் அமைக்கவும். இந்த இணைப்பு ${expiresInDays} நாட்களுக்குச் செல்லுபடியாகும்.`,
+          "இதை நீங்கள் எதிர்பார்க்கவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கலாம்.",
+        ],
+      },
+    }),
+
+  accountDeletion: ({ name, scheduledFor, url }) => {
+    const when = new Date(scheduledFor).toISOString().slice(0, 10);
+
+    return render({
+      link: url,
+      en: {
+        subject: "Your account is scheduled for deletion",
+        linkLabel: "Keep my account",
+        paragraphs: [
+          `Hi ${name},`,
+          `Your ${appName} account will be deleted on ${when}. Until then you can sign in and cancel the deletion.`,
+          "If you did not ask for this, sign in and cancel it, then change your password.",
+        ],
+      },
+      ta: {
+        subject: "உங்கள் கணக்கு நீக்கத்திற்குத் திட்டமிடப்பட்டுள்ளது",
+        linkLabel: "என் கணக்கை வைத்திரு",
+        paragraphs: [
+          `வணக்கம் ${name},`,
+          `உங்கள் ${appName} கணக்கு ${when} அன்று நீக்கப்படும். அதுவரை நீங்கள் உள்நுழைந்து நீக்கத்தை ரத்து செய்யலாம்.`,
+          "இதை நீங்கள் கோரவில்லை என்றால், உள்நுழைந்து அதை ரத்து செய்து, உங்கள் கடவுச்சொல்லை மாற்றவும்.",
+        ],
+      },
+    });
+  },
+
+  securityAlert: ({ name, action, ip, time }) => {
+    const copy = securityActions[action];
+    const when = new Date(time || Date.now()).toISOString();
+
+    return render({
+      en: {
+        subject: "Security alert for your account",
+        paragraphs: [
+          `Hi ${name},`,
+          `We noticed that ${copy.en} on ${when} (IP address ${
+            ip || "unknown"
+          }).`,
+          "If this wasn't you, reset your password immediately and contact an administrator.",
+        ],
+      },
+      ta: {
+        subject: "உங்கள் கணக்கிற்கான பாதுகாப்பு எச்சரிக்கை",
+        paragraphs: [
+          `வணக்கம் ${name},`,
+          `${when} அன்று ${copy.ta} (IP முகவரி ${ip || "தெரியவில்லை"}).`,
+          "இதைச் செய்தது நீங்கள் இல்லை என்றால், உடனடியாக உங்கள் கடவுச்சொல்லை மீட்டமைத்து நிர்வாகியைத் தொடர்பு கொள்ளவும்.",
+        ],
+      },
+    });
+  },
+};
+
+module.exports = templates;
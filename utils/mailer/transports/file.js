@@ -0,0 +1,32 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Write each message to a JSON file in an outbox directory.
+// Meant for local development and tests, where nothing should leave the machine.
+const createFileTransport = (outboxDir) => {
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}`;
+      const filePath = path.join(outboxDir, `${messageId}.json`);
+
+      await fs.writeFile(
+        filePath,
+        JSON.stringify(
+          { ...message, messageId, createdAt: new Date() },
+          null,
+          2
+        )
+      );
+
+      return { messageId, filePath };
+    },
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,19 @@
+const crypto = require("crypto");
+
+// Print each message as a single JSON line, for platforms that only keep logs
+const createLogTransport = () => {
+  return {
+    name: "log",
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}`;
+
+      console.log(JSON.stringify({ type: "email", messageId, ...message }));
+
+      return { messageId };
+    },
+  };
+};
+
+module.exports = createLogTransport;
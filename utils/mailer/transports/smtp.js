@@ -0,0 +1,13 @@
+const nodemailer = require("nodemailer");
+
+// Deliver through a real SMTP server
+const createSmtpTransport = (options) => {
+  const transporter = nodemailer.createTransport(options);
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,28 @@
+const {
+  processScheduledDeletions,
+  purgeDeletedUsers,
+} = require("./accountDeletion");
+
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Run the periodic housekeeping jobs once and report what they did
+const runMaintenance = async () => {
+  const anonymizedUsers = await processScheduledDeletions();
+  const purgedUsers = await purgeDeletedUsers();
+
+  return { anonymizedUsers, purgedUsers };
+};
+
+// Keep running maintenance in a long-lived process. Serverless deployments
+// call `npm run maintenance` from a scheduler instead.
+const scheduleMaintenance = () => {
+  const run = () =>
+    runMaintenance().catch((error) => {
+      console.error("Maintenance failed:", error);
+    });
+
+  run();
+  setInterval(run, MAINTENANCE_INTERVAL_MS).unref();
+};
+
+module.exports = { runMaintenance, scheduleMaintenance };
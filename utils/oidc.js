@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const SystemState = require("../models/SystemState");
+const { providers } = require("../config/oidc");
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256"];
+
+// Discovery documents and signing keys, cached per provider
+const discoveryCache = new Map();
+
+// Failures caused by the provider or the sign-in itself rather than by us
+const oidcError = (message) => {
+  const error = new Error(message);
+  error.name = "OidcError";
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    throw oidcError(
+      `Request to ${url} failed with status ${response.status}` +
+        (body && body.error ? ` (${body.error})` : "")
+    );
+  }
+
+  return body;
+};
+
+const getProvider = (id) =>
+  Object.prototype.hasOwnProperty.call(providers, id) ? providers[id] : null;
+
+const getDiscovery = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) {
+    return cached;
+  }
+
+  const document = await fetchJson(
+    `${provider.issuer}/.well-known/openid-configuration`
+  );
+
+  if (String(document.issuer).replace(/\/+$/, "") !== provider.issuer) {
+    throw oidcError(`Discovery issuer does not match ${provider.issuer}`);
+  }
+
+  const entry = { document, keys: null, fetchedAt: Date.now() };
+  discoveryCache.set(provider.id, entry);
+  return entry;
+};
+
+// Find the key an ID token was signed with. An unknown key id triggers one
+// refetch of the key set, which is how providers roll their keys.
+const getSigningKey = async (provider, kid) => {
+  const entry = await getDiscovery(provider);
+  const findKey = () =>
+    entry.keys &&
+    entry.keys.find((key) => key.use !== "enc" && (!kid || key.kid === kid));
+
+  if (!findKey()) {
+    entry.keys = (await fetchJson(entry.document.jwks_uri)).keys || [];
+  }
+
+  const jwk = findKey();
+
+  if (!jwk) {
+    throw oidcError("ID token was signed with an unknown key");
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+// Start a sign-in: returns the provider URL to send the user to, plus the
+// state, nonce and PKCE verifier that must be kept until they come back
+const createAuthorizationRequest = async (provider) => {
+  const { document } = await getDiscovery(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+
+  const url = new URL(document.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { authorizationUrl: url.toString(), state, nonce, codeVerifier };
+};
+
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw oidcError("Provider returned a malformed ID token");
+  }
+
+  const { document } = await getDiscovery(provider);
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: document.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    throw oidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError("ID token nonce does not match");
+  }
+
+  return claims;
+};
+
+// Finish a sign-in: redeem the authorization code with the PKCE verifier
+// and return the verified identity claims
+const completeAuthorization = async (
+  provider,
+  { code, codeVerifier, nonce }
+) => {
+  const { document } = await getDiscovery(provider);
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+
+  if (provider.clientSecret) {
+    params.set("client_secret", provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(document.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: params,
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError("Provider did not return an ID token");
+  }
+
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  // Some providers leave profile claims out of the ID token
+  if (!claims.email && document.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(document.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+
+    if (userinfo.sub === claims.sub) {
+      Object.assign(claims, {
+        email: userinfo.email,
+        email_verified: userinfo.email_verified,
+        name: claims.name || userinfo.name,
+      });
+    }
+  }
+
+  return claims;
+};
+
+const emailDomain = (email) => String(email).split("@").pop().toLowerCase();
+
+// Whether an identity with this email may sign in to an account that holds
+// a staff role. No configured domains means no restriction.
+const isAdminDomainAllowed = async (email) => {
+  const { oidcAdminDomains } = await SystemState.get();
+
+  return (
+    !oidcAdminDomains ||
+    oidcAdminDomains.length === 0 ||
+    oidcAdminDomains.includes(emailDomain(email))
+  );
+};
+
+module.exports = {
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization,
+  isAdminDomainAllowed,
+};
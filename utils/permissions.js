@@ -0,0 +1,50 @@
+const Role = require("../models/Role");
+const { BUILT_IN_ROLES } = require("../config/permissions");
+
+// Permissions granted to a role name, built-in or custom
+const getRolePermissions = async (roleName) => {
+  if (BUILT_IN_ROLES[roleName]) {
+    return BUILT_IN_ROLES[roleName];
+  }
+
+  const role = await Role.findOne({ name: roleName });
+  return role ? role.permissions : [];
+};
+
+// Whether a role name refers to a built-in or custom role
+const isKnownRole = async (roleName) => {
+  return (
+    Boolean(BUILT_IN_ROLES[roleName]) ||
+    Boolean(await Role.exists({ name: roleName }))
+  );
+};
+
+// How far a set of permissions covers the requested one:
+// "all", "own" (only documents the user authored) or null
+const permissionScope = (permissions, permission) => {
+  if (permissions.includes("*") || permissions.includes(permission)) {
+    return "all";
+  }
+
+  if (permissions.includes(`${permission}:own`)) {
+    return "own";
+  }
+
+  return null;
+};
+
+// Permissions in `granted` that `held` does not cover. A ":own" grant is
+// covered by either the same grant or the unrestricted permission.
+const exceedingPermissions = (granted, held) =>
+  granted.filter((permission) =>
+    permission.endsWith(":own")
+      ? !permissionScope(held, permission.slice(0, -":own".length))
+      : permissionScope(held, permission) !== "all"
+  );
+
+module.exports = {
+  getRolePermissions,
+  isKnownRole,
+  permissionScope,
+  exceedingPermissions,
+};
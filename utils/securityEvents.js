@@ -0,0 +1,82 @@
+const { query } = require("express-validator");
+const SecurityEvent = require("../models/SecurityEvent");
+
+// Record an event in a user's security history. `actor` is set when someone
+// other than the user caused it. Failures are logged rather than thrown so
+// auditing can never break the request being audited.
+const recordSecurityEvent = async (
+  req,
+  user,
+  type,
+  { actor = null, ...metadata } = {}
+) => {
+  try {
+    await SecurityEvent.create({
+      user: user._id || user,
+      type,
+      actor: actor && (actor._id || actor),
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Failed to record ${type} security event:`, error);
+  }
+};
+
+// Validation for the query parameters accepted by listSecurityEvents
+const securityEventQueryRules = [
+  query("page", "Page must be a positive integer").optional().isInt({ min: 1 }),
+  query("limit", "Limit must be between 1 and 100")
+    .optional()
+    .isInt({ min: 1, max: 100 }),
+  query("type")
+    .optional()
+    .custom((value) => {
+      const unknown = String(value)
+        .split(",")
+        .filter((type) => !SecurityEvent.TYPES.includes(type));
+
+      if (unknown.length > 0) {
+        throw new Error(`Unknown event type: ${unknown.join(", ")}`);
+      }
+      return true;
+    }),
+];
+
+// Page through a user's security events, newest first. `type` may list
+// several comma-separated event types.
+const listSecurityEvents = async (userId, params) => {
+  const page = parseInt(params.page) || 1;
+  const limit = parseInt(params.limit) || 20;
+  const filter = { user: userId };
+
+  if (params.type) {
+    filter.type = { $in: String(params.type).split(",") };
+  }
+
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(filter)
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    SecurityEvent.countDocuments(filter),
+  ]);
+
+  return {
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = {
+  recordSecurityEvent,
+  securityEventQueryRules,
+  listSecurityEvents,
+};
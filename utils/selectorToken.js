@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+
+// Tokens are "<selector>.<verifier>". The selector finds the record, the
+// verifier proves possession and is only ever stored hashed.
+const hashVerifier = (verifier) =>
+  crypto.createHash("sha256").update(verifier).digest("hex");
+
+// A fresh token, with the selector and verifier hash to store for it
+const createSelectorToken = () => {
+  const selector = crypto.randomBytes(12).toString("hex");
+  const verifier = crypto.randomBytes(32).toString("hex");
+
+  return {
+    token: `${selector}.${verifier}`,
+    selector,
+    verifierHash: hashVerifier(verifier),
+  };
+};
+
+// Split a token into its selector and verifier, or null if it is malformed
+const parseSelectorToken = (token) => {
+  const [selector, verifier] = String(token).split(".");
+  return selector && verifier ? { selector, verifier } : null;
+};
+
+// Compare a presented verifier with the stored hash in constant time
+const verifierMatches = (verifierHash, verifier) =>
+  crypto.timingSafeEqual(
+    Buffer.from(verifierHash, "hex"),
+    Buffer.from(hashVerifier(verifier), "hex")
+  );
+
+// Schema plugin adding `issue` and `consume` statics for single-use tokens
+// that belong to a user. The schema defines user, selector, verifierHash,
+// expiresAt and usedAt; `ttlMs` is how long a token lasts by default.
+const singleUseToken = (schema, { ttlMs }) => {
+  // Issue a new token for a user, revoking any older ones.
+  // Returns the raw token (to be emailed) and the stored record.
+  schema.statics.issue = async function (userId, tokenTtlMs = ttlMs) {
+    await this.deleteMany({ user: userId });
+
+    const { token, selector, verifierHash } = createSelectorToken();
+
+    const record = await this.create({
+      user: userId,
+      selector,
+      verifierHash,
+      expiresAt: new Date(Date.now() + tokenTtlMs),
+    });
+
+    return { token, record };
+  };
+
+  // Redeem a token. Returns the record if the token is valid, unused and
+  // unexpired, marking it used so it cannot be redeemed twice.
+  schema.statics.consume = async function (token) {
+    const parsed = parseSelectorToken(token);
+
+    if (!parsed) {
+      return null;
+    }
+
+    const record = await this.findOne({
+      selector: parsed.selector,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!record || !verifierMatches(record.verifierHash, parsed.verifier)) {
+      return null;
+    }
+
+    // Claim the token atomically so concurrent requests cannot both use it
+    return this.findOneAndUpdate(
+      { _id: record._id, usedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+  };
+};
+
+module.exports = {
+  createSelectorToken,
+  parseSelectorToken,
+  verifierMatches,
+  singleUseToken,
+};
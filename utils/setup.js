@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const SystemState = require("../models/SystemState");
+const User = require("../models/User");
+
+const hashSetupToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Whether the first admin has been created. Databases that already had an
+// admin before the setup flow existed are marked complete on first check.
+const isSetupComplete = async () => {
+  const state = await SystemState.get();
+
+  if (state.setupCompletedAt) {
+    return true;
+  }
+
+  if (await User.exists({ role: "admin" })) {
+    await markSetupComplete();
+    return true;
+  }
+
+  return false;
+};
+
+// Close the bootstrap paths. Returns false if setup was already complete,
+// so concurrent bootstrap attempts can't both succeed.
+const markSetupComplete = async () => {
+  await SystemState.get();
+
+  const state = await SystemState.findOneAndUpdate(
+    { _id: "system", setupCompletedAt: null },
+    { setupCompletedAt: new Date(), setupTokenHash: null }
+  );
+  return Boolean(state);
+};
+
+// Undo markSetupComplete when creating the first admin failed
+const reopenSetup = async () => {
+  await SystemState.updateOne({ _id: "system" }, { setupCompletedAt: null });
+};
+
+// Make sure a setup token exists while setup is pending. ADMIN_SETUP_TOKEN
+// wins; otherwise one is generated, stored hashed and printed once.
+const ensureSetupToken = async () => {
+  if (process.env.ADMIN_SETUP_TOKEN || (await isSetupComplete())) {
+    return;
+  }
+
+  const token = crypto.randomBytes(24).toString("hex");
+  const state = await SystemState.findOneAndUpdate(
+    { _id: "system", setupTokenHash: null },
+    { setupTokenHash: hashSetupToken(token) }
+  );
+
+  if (state) {
+    console.log(
+      `No admin account exists yet. Create one with POST /api/auth/admin/register using setup token: ${token}`
+    );
+  }
+};
+
+// Check a setup token against the environment or the generated one
+const verifySetupToken = async (token) => {
+  if (!token) {
+    return false;
+  }
+
+  const expected = process.env.ADMIN_SETUP_TOKEN
+    ? hashSetupToken(process.env.ADMIN_SETUP_TOKEN)
+    : (await SystemState.get()).setupTokenHash;
+
+  if (!expected) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(expected, "hex"),
+    Buffer.from(hashSetupToken(token), "hex")
+  );
+};
+
+module.exports = {
+  isSetupComplete,
+  markSetupComplete,
+  reopenSetup,
+  ensureSetupToken,
+  verifySetupToken,
+};
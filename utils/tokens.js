@@ -0,0 +1,240 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const {
+  emailVerificationExpire,
+  impersonationExpireMinutes,
+} = require("../config/auth");
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || "15m";
+const REFRESH_TOKEN_EXPIRE_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Hash opaque tokens before they are stored or looked up
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Generate a short-lived access JWT bound to a session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      sid: sessionId,
+      type: "access",
+      tv: user.tokenVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+};
+
+// Persist a new refresh token for a session and return its raw value.
+// The session is kept alive for as long as its newest refresh token.
+const issueRefreshToken = async (user, req, sessionId) => {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+  const expiresAt = refreshTokenExpiry();
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    session: sessionId,
+    expiresAt,
+    createdByIp: req.ip,
+  });
+
+  await Session.updateOne(
+    { _id: sessionId },
+    { expiresAt, lastSeenAt: new Date(), ip: req.ip }
+  );
+
+  return refreshToken;
+};
+
+// Start a session for a fresh login and issue its access/refresh tokens
+const issueAuthTokens = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry(),
+  });
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken: await issueRefreshToken(user, req, session._id),
+    session,
+  };
+};
+
+// Let an admin act as another user. The short-lived session records the
+// admin and its access token names them in `imp`. There is no refresh
+// token; the admin starts a new impersonation once it expires.
+const issueImpersonationToken = async (target, admin, req) => {
+  const session = await Session.create({
+    user: target._id,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+    impersonatedBy: admin._id,
+    expiresAt: new Date(Date.now() + impersonationExpireMinutes * 60 * 1000),
+  });
+
+  const token = jwt.sign(
+    {
+      id: target._id,
+      sid: session._id,
+      type: "access",
+      tv: target.tokenVersion || 0,
+      imp: admin._id,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${impersonationExpireMinutes}m` }
+  );
+
+  return { token, session };
+};
+
+// Sign a single session out, killing its access and refresh tokens
+const revokeSession = async (sessionId) => {
+  const now = new Date();
+
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: now }
+  );
+  await RefreshToken.updateMany(
+    { session: sessionId, revokedAt: null },
+    { revokedAt: now }
+  );
+};
+
+// Sign a user out of every session, optionally keeping one (the caller's)
+const revokeUserSessions = async (userId, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(filter).select("_id");
+  await Promise.all(sessions.map((session) => revokeSession(session._id)));
+
+  return sessions.length;
+};
+
+// Revoke a refresh token so it can only be used once.
+// Returns the consumed token record, or null if the token is unknown,
+// expired or already used. Presenting an already used token is treated
+// as theft and revokes the whole session.
+const consumeRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  );
+
+  if (record) {
+    return record;
+  }
+
+  const reused = await RefreshToken.findOne({
+    tokenHash,
+    revokedAt: { $ne: null },
+  });
+
+  if (reused) {
+    console.warn(
+      `Refresh token reuse detected for user ${reused.user}, revoking session ${reused.session}`
+    );
+    await revokeSession(reused.session);
+  }
+
+  return null;
+};
+
+// The session a refresh token belongs to, or null if the token is unknown
+// or no longer usable. Unlike consumeRefreshToken this leaves it untouched.
+const findRefreshTokenSession = async (refreshToken) => {
+  const record = await RefreshToken.findOne({
+    tokenHash: hashToken(String(refreshToken)),
+    revokedAt: null,
+  });
+
+  return record ? record.session : null;
+};
+
+// Generate a signed email verification token bound to one address
+const generateEmailVerificationToken = (user, email = user.email) => {
+  return jwt.sign(
+    { id: user._id, email, type: "verify-email" },
+    process.env.JWT_SECRET,
+    { expiresIn: emailVerificationExpire }
+  );
+};
+
+// Decode a signed token of the given type, or return null if it is not valid
+const verifySignedToken = (token, type) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === type ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const verifyEmailVerificationToken = (token) =>
+  verifySignedToken(token, "verify-email");
+
+// The session an access token was issued for, or null if it is not valid
+const findAccessTokenSession = (token) => {
+  const decoded = verifySignedToken(token, "access");
+  return decoded ? decoded.sid : null;
+};
+
+// Generate the token that stands in for a password-verified, not yet
+// 2FA-verified sign-in
+const generateTwoFactorChallengeToken = (user, method) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      type: "2fa-challenge",
+      tv: user.tokenVersion || 0,
+      method,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+};
+
+const verifyTwoFactorChallengeToken = (token) =>
+  verifySignedToken(token, "2fa-challenge");
+
+// Invalidate every access and refresh token a user currently holds
+const revokeUserTokens = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await revokeUserSessions(userId);
+};
+
+module.exports = {
+  REFRESH_TOKEN_EXPIRE_DAYS,
+  hashToken,
+  generateAccessToken,
+  issueRefreshToken,
+  issueAuthTokens,
+  issueImpersonationToken,
+  consumeRefreshToken,
+  findRefreshTokenSession,
+  findAccessTokenSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeUserTokens,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+};